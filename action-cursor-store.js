@@ -0,0 +1,60 @@
+const JsonFileStore = require('./json-file-store');
+
+class ActionCursorStore {
+    constructor(filePath, saveDelayMs = 1000) {
+        this.file = new JsonFileStore(filePath, { name: 'action cursor', saveDelayMs, serialize: () => this.serialize() });
+        this.cursors = new Map(); // boardId -> { actionId, date } of the newest processed action
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!this.file.exists()) {
+                console.log(`⏪ No action cursor found at ${this.file.filePath}, starting fresh`);
+                return;
+            }
+
+            const data = this.file.read();
+            Object.entries(data.boards || {}).forEach(([boardId, cursor]) => {
+                if (cursor && cursor.actionId && cursor.date) {
+                    this.cursors.set(boardId, cursor);
+                }
+            });
+
+            console.log(`⏪ Loaded action cursors for ${this.cursors.size} board(s)`);
+        } catch (error) {
+            console.error(`Error loading action cursor ${this.file.filePath}:`, error);
+        }
+    }
+
+    get(boardId) {
+        return this.cursors.get(boardId) || null;
+    }
+
+    // Webhook deliveries can arrive out of order, the cursor only ever moves forward
+    advance(boardId, action) {
+        if (!boardId || !action || !action.id || !action.date) return false;
+
+        const current = this.cursors.get(boardId);
+        if (current && new Date(current.date) > new Date(action.date)) return false;
+
+        this.cursors.set(boardId, { actionId: action.id, date: action.date });
+        this.scheduleSave();
+        return true;
+    }
+
+    serialize() {
+        return { boards: Object.fromEntries(this.cursors) };
+    }
+
+    scheduleSave() {
+        this.file.scheduleSave();
+    }
+
+    save() {
+        this.file.save();
+    }
+}
+
+module.exports = ActionCursorStore;
@@ -0,0 +1,87 @@
+const fetch = require('node-fetch');
+
+class AttachmentUploader {
+    constructor(trelloHelper) {
+        this.trelloHelper = trelloHelper;
+        this.enabled = process.env.UPLOAD_DISCORD_ATTACHMENTS !== 'false';
+        this.maxMegabytes = parseFloat(process.env.ATTACHMENT_MAX_UPLOAD_MB) || 10;
+        this.maxBytes = this.maxMegabytes * 1024 * 1024;
+        // Comma-separated MIME types, prefixes ending in '/' (image/) or extensions (.pdf); empty allows everything
+        this.allowedTypes = (process.env.ATTACHMENT_ALLOWED_TYPES || '')
+            .split(',')
+            .map(type => type.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    isAllowedType(attachment) {
+        if (this.allowedTypes.length === 0) return true;
+
+        const contentType = (attachment.contentType || '').split(';')[0].toLowerCase();
+        const name = (attachment.name || '').toLowerCase();
+
+        return this.allowedTypes.some(type => {
+            if (type.startsWith('.')) return name.endsWith(type);
+            if (type.endsWith('/')) return contentType.startsWith(type);
+            return contentType === type;
+        });
+    }
+
+    // Returns the reason an attachment is linked instead of uploaded, or null when it can be uploaded
+    getLinkReason(attachment) {
+        if (!this.enabled) return 'uploads disabled';
+        if (attachment.size > this.maxBytes) return `larger than ${this.maxMegabytes} MB`;
+        if (!this.isAllowedType(attachment)) return `type ${attachment.contentType || 'unknown'} not allowed`;
+        return null;
+    }
+
+    async download(attachment) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 60000);
+
+        try {
+            const response = await fetch(attachment.url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const buffer = await response.buffer();
+            clearTimeout(timeoutId);
+            return buffer;
+        } catch (error) {
+            clearTimeout(timeoutId);
+            throw error;
+        }
+    }
+
+    // Uploads the file itself when allowed, otherwise attaches the CDN link
+    async attach(cardId, attachment) {
+        const linkReason = this.getLinkReason(attachment);
+
+        if (!linkReason) {
+            try {
+                const buffer = await this.download(attachment);
+                if (buffer.length <= this.maxBytes) {
+                    const uploaded = await this.trelloHelper.uploadAttachment(cardId, {
+                        buffer,
+                        name: attachment.name,
+                        mimeType: attachment.contentType
+                    });
+                    console.log(`📤 Uploaded ${attachment.name} (${Math.round(buffer.length / 1024)} KB) to card ${cardId}`);
+                    return uploaded;
+                }
+                console.log(`📎 ${attachment.name} is larger than reported, attaching as link`);
+            } catch (error) {
+                console.error(`Failed to upload ${attachment.name}, attaching as link instead:`, error.message);
+            }
+        } else {
+            console.log(`📎 Attaching ${attachment.name} as link (${linkReason})`);
+        }
+
+        return this.trelloHelper.addAttachment(cardId, {
+            url: attachment.url,
+            name: attachment.name
+        });
+    }
+}
+
+module.exports = AttachmentUploader;
@@ -0,0 +1,44 @@
+// Keeps the Trello attachment lists of the most recently synced cards, the least recently used one is dropped first
+class CardAttachmentCache {
+    constructor(fetchAttachments, maxCards = 100) {
+        this.fetchAttachments = fetchAttachments;
+        this.maxCards = maxCards;
+        this.cards = new Map(); // cardId -> Trello attachments, oldest use first
+    }
+
+    async get(cardId) {
+        let attachments = this.cards.get(cardId);
+        if (attachments) {
+            this.cards.delete(cardId);
+        } else {
+            attachments = await this.fetchAttachments(cardId);
+        }
+        this.cards.set(cardId, attachments);
+
+        while (this.cards.size > this.maxCards) {
+            this.cards.delete(this.cards.keys().next().value);
+        }
+        return attachments;
+    }
+
+    add(cardId, attachment) {
+        const attachments = this.cards.get(cardId);
+        if (attachments && attachment && attachment.id) {
+            attachments.push(attachment);
+        }
+    }
+
+    remove(cardId, attachmentId) {
+        const attachments = this.cards.get(cardId);
+        if (attachments) {
+            this.cards.set(cardId, attachments.filter(attachment => attachment.id !== attachmentId));
+        }
+    }
+
+    // The next get() fetches the list from Trello again
+    forget(cardId) {
+        this.cards.delete(cardId);
+    }
+}
+
+module.exports = CardAttachmentCache;
@@ -0,0 +1,96 @@
+const MAX_THREAD_NAME_LENGTH = 100; // Discord's limit for forum post titles
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_APPLIED_TAGS = 5;
+
+// Opens a forum post for cards that land in a route's publish lists, the reverse of thread -> card creation
+class CardPublisher {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+        this.publishing = new Set(); // card IDs with a forum post being created right now
+    }
+
+    // The list a card arrived in: created there, moved there within a board or moved over from another board
+    getArrivalListId(action) {
+        if (action.type === 'createCard' || action.type === 'moveCardToBoard') {
+            return action.data?.list?.id || null;
+        }
+        if (action.type === 'updateCard') {
+            return action.data?.listAfter?.id || null;
+        }
+        return null;
+    }
+
+    async handleAction(action) {
+        const cardId = action.data?.card?.id;
+        const listId = this.getArrivalListId(action);
+        if (!cardId || !listId) return false;
+
+        const route = this.discordBot.routing.getPublishRoute(listId);
+        if (!route) return false;
+
+        if (this.publishing.has(cardId) || this.discordBot.findThreadByCardId(cardId)) return false;
+
+        this.publishing.add(cardId);
+        try {
+            return await this.publish(cardId, route);
+        } finally {
+            this.publishing.delete(cardId);
+        }
+    }
+
+    async publish(cardId, route) {
+        try {
+            const card = await this.trelloHelper.getCard(cardId, 'name,desc,idBoard,idList,idLabels,shortUrl,closed');
+            if (card.closed) return false;
+
+            const forum = await this.discordBot.client.channels.fetch(route.forumChannelId);
+            const thread = await forum.threads.create({
+                name: this.formatName(card.name),
+                message: { content: this.formatContent(card) },
+                appliedTags: this.getAppliedTags(route.forumChannelId, card),
+                reason: `Published from Trello card ${card.id}`
+            });
+
+            this.discordBot.linkThreadToCard(thread.id, card.id, {
+                boardId: card.idBoard,
+                listId: card.idList,
+                origin: 'trello'
+            });
+            await this.discordBot.tagCardWithThread(card.id, thread);
+
+            console.log(`📣 Published Trello card ${card.name} to #${forum.name} as thread ${thread.id}`);
+            return true;
+        } catch (error) {
+            console.error(`Failed to publish Trello card ${cardId} to forum ${route.forumChannelId}:`, error.message);
+            return false;
+        }
+    }
+
+    formatName(name) {
+        const trimmed = (name || '').trim() || 'Untitled card';
+        return trimmed.length > MAX_THREAD_NAME_LENGTH ? `${trimmed.slice(0, MAX_THREAD_NAME_LENGTH - 1)}…` : trimmed;
+    }
+
+    // Trello descriptions are Markdown as well, so they are posted as-is with a link back to the card
+    formatContent(card) {
+        const footer = `\n\n📋 ${card.shortUrl}`;
+        const description = (card.desc || '').trim();
+        const limit = MAX_MESSAGE_LENGTH - footer.length;
+
+        const body = description.length > limit ? `${description.slice(0, limit - 1)}…` : description;
+        return body ? `${body}${footer}` : footer.trim();
+    }
+
+    getAppliedTags(forumChannelId, card) {
+        const mapping = this.discordBot.tagLabelSync.getMapping(forumChannelId, card.idBoard);
+        if (!mapping) return [];
+
+        const tags = (card.idLabels || [])
+            .map(labelId => mapping.labelToTag.get(labelId))
+            .filter(Boolean);
+        return [...new Set(tags)].slice(0, MAX_APPLIED_TAGS);
+    }
+}
+
+module.exports = CardPublisher;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { renderTemplate } = require('./template-renderer');
+
+// Built-in layouts. Every entry is a template; {name} is replaced with a value and {>name} with another template.
+const STYLES = {
+    verbose: {
+        title: '[Discord] {threadName} - by {creator}',
+        initialDescription: '# 💬 {threadName}\n\n**📍 Thread Details**\n• **ID:** `{threadId}`\n• **Creator:** {creator}\n• **Created:** {created}\n\n*Loading thread content...*',
+        description: '{>header}## 📋 Original Thread Post\n{>separator}\n{originalPost}\n{>separator}**⬆️ END OF ORIGINAL POST ⬆️**\n{>separator}\n{replies}',
+        header: '# 💬 {threadName}\n\n**📍 Thread Details**\n• **ID:** `{threadId}`\n• **Created:** {created}\n• **Messages:** {messageCount}\n• **Participants:** {participantCount}\n\n**👥 Participants:** {participants}\n\n',
+        separator: '**═══════════════════════════════════════**\n',
+        replies: '## 💬 Thread Replies & Discussion\n{truncation}**🔽 NEW CONTENT STARTS HERE 🔽**\n\n{days}',
+        noReplies: '## 💬 Thread Replies\n*No replies yet - this thread only contains the original post.*\n',
+        truncation: '✂️ **Truncated: {omitted} cut to fit Trello\'s description limit, see the attached transcript `{transcript}`**\n\n',
+        truncatedSuffix: '\n\n✂️ **Truncated, see the attached transcript `{transcript}`**\n',
+        day: '### 📅 {date}\n{messages}',
+        originalMessage: '\n👑 **THREAD CREATOR** {authorLine} • *{timestamp}*\n{body}\n---\n',
+        message: '\n💭 {authorLine} • *{timestamp}*\n{body}\n---\n',
+        originalMessageText: '**📝 ORIGINAL THREAD CONTENT:**\n{content}\n{extras}',
+        messageText: '{content}\n{extras}',
+        attachmentOnly: '*{author} only attached {mediaType}*\n🔗 {url}\n'
+    },
+    compact: {
+        title: '{threadName}',
+        initialDescription: '🔗 {threadUrl}\n\n*Loading thread content...*',
+        description: '{>header}{originalPost}\n{replies}',
+        header: '🔗 {threadUrl} · 👥 {participants}\n\n',
+        separator: '---\n',
+        replies: '{truncation}{days}',
+        noReplies: '',
+        truncation: '✂️ {omitted} left out, see `{transcript}`\n\n',
+        truncatedSuffix: '\n\n✂️ Truncated, see `{transcript}`\n',
+        day: '**{date}**\n{messages}',
+        originalMessage: '{authorLine} · {timestamp}\n{body}\n{>separator}',
+        message: '{authorLine} · {timestamp}\n{body}\n',
+        originalMessageText: '{content}\n{extras}',
+        messageText: '{content}\n{extras}',
+        attachmentOnly: '📎 {mediaType}: {url}\n'
+    }
+};
+
+// Card titles and descriptions, rendered from CARD_TEMPLATE_STYLE / CARD_TEMPLATE_PATH or a route's own template
+class CardTemplate {
+    constructor(routing, options = {}) {
+        this.routing = routing;
+        this.defaultStyle = options.style || 'verbose';
+        this.defaults = this.loadTemplates(options.templatePath, this.defaultStyle);
+        this.routeTemplates = new Map(); // forumChannelId -> templates of a route with its own style or file
+    }
+
+    static getStyles() {
+        return Object.keys(STYLES);
+    }
+
+    getStyle(name) {
+        if (STYLES[name]) return STYLES[name];
+        console.log(`⚠️ Unknown card template style "${name}", using verbose`);
+        return STYLES.verbose;
+    }
+
+    // A template file is JSON: { "style": "compact", "templates": { "title": "…" } }, unset templates come from the style.
+    // Templates with new names can be used as partials by the others.
+    loadTemplates(filePath, style) {
+        if (!filePath) return { ...this.getStyle(style) };
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const templates = data.templates || {};
+
+            console.log(`📝 Loaded card templates from ${filePath}`);
+            return { ...this.getStyle(data.style || style), ...templates };
+        } catch (error) {
+            console.error(`Error loading card templates ${filePath}, using the ${style} style:`, error.message);
+            return { ...this.getStyle(style) };
+        }
+    }
+
+    getTemplates(forumChannelId) {
+        const route = this.routing.getRoute(forumChannelId);
+        if (!route || (!route.cardTemplate && !route.cardStyle)) return this.defaults;
+
+        if (!this.routeTemplates.has(forumChannelId)) {
+            const templates = route.cardTemplate
+                ? this.loadTemplates(route.cardTemplate, route.cardStyle || this.defaultStyle)
+                : { ...this.getStyle(route.cardStyle) };
+            this.routeTemplates.set(forumChannelId, templates);
+        }
+        return this.routeTemplates.get(forumChannelId);
+    }
+
+    // The route's other templates are available as {>name} partials
+    render(forumChannelId, name, variables) {
+        const templates = this.getTemplates(forumChannelId);
+        return renderTemplate(templates[name], variables, templates);
+    }
+}
+
+module.exports = CardTemplate;
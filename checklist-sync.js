@@ -0,0 +1,115 @@
+const BULLET_REGEX = /^\s*(?:[-*+•]|\d+[.)])?\s*(?:\[([ xX])\]\s*)?(.*)$/;
+
+class ChecklistSync {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+        this.trigger = (process.env.CHECKLIST_TRIGGER || '!todo').trim();
+        this.defaultName = process.env.CHECKLIST_DEFAULT_NAME || 'Tasks';
+        this.completeListId = process.env.CHECKLIST_COMPLETE_LIST_ID || null;
+        this.lists = new Map(); // listId -> Trello list, only used to check the board of the completion list
+    }
+
+    // "- item", "* item", "1. item", "[x] item" or a plain line; [x] creates the item already checked
+    parseItems(lines) {
+        return lines
+            .map(line => {
+                const [, checkbox, name] = line.match(BULLET_REGEX);
+                return { name: name.trim(), checked: Boolean(checkbox && checkbox.toLowerCase() === 'x') };
+            })
+            .filter(item => item.name);
+    }
+
+    async getOrCreateChecklist(cardId, name) {
+        const checklists = await this.trelloHelper.getCardChecklists(cardId);
+        const existing = checklists.find(checklist => checklist.name.toLowerCase() === name.toLowerCase());
+        if (existing) return existing;
+
+        const checklist = await this.trelloHelper.createChecklist(cardId, name);
+        console.log(`📋 Created checklist ${name} on card ${cardId}`);
+        return checklist;
+    }
+
+    async addItems(cardId, checklistName, items) {
+        const checklist = await this.getOrCreateChecklist(cardId, checklistName || this.defaultName);
+
+        for (const item of items) {
+            await this.trelloHelper.addChecklistItem(checklist.id, item.name, { checked: item.checked });
+        }
+
+        console.log(`📋 Added ${items.length} item(s) to checklist ${checklist.name} on card ${cardId}`);
+        return checklist;
+    }
+
+    // A thread reply whose first line is the trigger ("!todo" or "!todo Release steps") adds the following lines as items
+    async handleMessage(message, cardId) {
+        const [firstLine, ...rest] = (message.content || '').split('\n');
+        const [trigger, ...nameParts] = firstLine.trim().split(/\s+/);
+        if (!this.trigger || trigger !== this.trigger) return false;
+
+        const items = this.parseItems(rest);
+        if (items.length === 0) return false;
+
+        try {
+            await this.addItems(cardId, nameParts.join(' '), items);
+            await message.react('✅').catch(() => {});
+            return true;
+        } catch (error) {
+            console.error(`Failed to add checklist items from message ${message.id}:`, error.message);
+            await message.react('❌').catch(() => {});
+            return false;
+        }
+    }
+
+    async getProgress(cardId, checklistId) {
+        if (!checklistId) return null;
+
+        const checklists = await this.trelloHelper.getCardChecklists(cardId);
+        const checklist = checklists.find(candidate => candidate.id === checklistId);
+        if (!checklist) return null;
+
+        const items = checklist.checkItems || [];
+        return {
+            name: checklist.name,
+            complete: items.filter(item => item.state === 'complete').length,
+            total: items.length
+        };
+    }
+
+    formatProgress(progress) {
+        return this.discordBot.localization.t('checklist.progress', progress);
+    }
+
+    // Runs after the notification: checking off the last item of a checklist can move the card
+    async handleProgress(cardId, action, progress) {
+        if (!this.completeListId || !progress || progress.total === 0) return;
+        if (action.type !== 'updateCheckItemStateOnCard' || action.data?.checkItem?.state !== 'complete') return;
+        if (progress.complete < progress.total) return;
+
+        try {
+            const card = await this.trelloHelper.getCard(cardId, 'idList,idBoard');
+            if (card.idList === this.completeListId) return;
+
+            const list = await this.getList(this.completeListId);
+            if (list.idBoard !== card.idBoard) {
+                console.log(`⚠️ Checklist ${progress.name} is complete, but CHECKLIST_COMPLETE_LIST_ID is on another board than card ${cardId}`);
+                return;
+            }
+
+            await this.trelloHelper.updateCard(cardId, { idList: list.id });
+            this.discordBot.mappingStore.updateByCardId(cardId, { listId: list.id });
+            console.log(`📋 Checklist ${progress.name} is complete, moved card ${cardId} to ${list.name}`);
+        } catch (error) {
+            console.error(`Failed to move card ${cardId} after completing checklist ${progress.name}:`, error.message);
+        }
+    }
+
+    async getList(listId) {
+        if (!this.lists.has(listId)) {
+            this.lists.set(listId, await this.trelloHelper.getList(listId));
+        }
+        return this.lists.get(listId);
+    }
+}
+
+module.exports = ChecklistSync;
@@ -0,0 +1,194 @@
+const DISCORD_COMMENT_MARKER = '[via Discord](https://discord.com/channels/';
+const WEBHOOK_NAME = 'Trello Sync';
+const DISCORD_MESSAGE_LIMIT = 2000;
+const TRELLO_COMMENT_LIMIT = 16384;
+
+class CommentSync {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+        this.mirrorRepliesToTrello = process.env.SYNC_DISCORD_REPLIES_TO_TRELLO === 'true';
+        this.webhooks = new Map(); // forumChannelId -> Discord webhook
+        this.mirroredCommentIds = new Set(); // Trello comment action IDs the bot created itself
+    }
+
+    // Comments the bot wrote on behalf of Discord users must never be posted back into the thread
+    isMirroredComment(action) {
+        if (this.mirroredCommentIds.has(action.id)) return true;
+        const text = action.data?.text || '';
+        return text.includes(DISCORD_COMMENT_MARKER);
+    }
+
+    async getThreadWebhook(thread) {
+        const forumChannel = thread.parent;
+        if (!forumChannel) return null;
+
+        if (this.webhooks.has(forumChannel.id)) {
+            return this.webhooks.get(forumChannel.id);
+        }
+
+        try {
+            const existing = await forumChannel.fetchWebhooks();
+            let webhook = existing.find(hook =>
+                hook.owner?.id === this.discordBot.client.user.id && hook.name === WEBHOOK_NAME
+            );
+
+            if (!webhook) {
+                webhook = await forumChannel.createWebhook({
+                    name: WEBHOOK_NAME,
+                    reason: 'Mirror Trello comments into forum threads'
+                });
+                console.log(`💬 Created comment webhook in #${forumChannel.name}`);
+            }
+
+            this.webhooks.set(forumChannel.id, webhook);
+            return webhook;
+        } catch (error) {
+            console.error(`Unable to get webhook for #${forumChannel.name}, is Manage Webhooks granted?`, error.message);
+            return null;
+        }
+    }
+
+    getMemberName(action) {
+        const member = action.memberCreator || {};
+        return member.fullName || member.username || 'Trello';
+    }
+
+    formatCommentContent(text) {
+        return text.length > DISCORD_MESSAGE_LIMIT
+            ? `${text.slice(0, DISCORD_MESSAGE_LIMIT - 1)}…`
+            : text;
+    }
+
+    buildCommentEmbed(memberName, content, date) {
+        return {
+            color: 0x0079BF,
+            author: { name: this.discordBot.localization.t('notification.comment_author', { member: memberName }) },
+            description: content.slice(0, 4096),
+            footer: { text: 'Trello' },
+            timestamp: new Date(date).toISOString()
+        };
+    }
+
+    // Used for DM subscribers, who get the comment as an embed even when the thread shows it through the webhook
+    buildTrelloCommentEmbed(action) {
+        const text = action.data?.text || '';
+        return this.buildCommentEmbed(this.getMemberName(action), this.formatCommentContent(text), action.date);
+    }
+
+    // Returns the Discord message that was posted, or null when nothing was sent
+    async mirrorTrelloComment(thread, action) {
+        if (this.isMirroredComment(action)) {
+            console.log(`💬 Skipping comment ${action.id}, it was mirrored from Discord`);
+            return null;
+        }
+
+        const text = action.data?.text || '';
+        if (!text.trim()) return null;
+
+        const member = action.memberCreator || {};
+        const memberName = this.getMemberName(action);
+        const content = this.formatCommentContent(text);
+
+        let message;
+        const webhook = await this.getThreadWebhook(thread);
+        if (webhook) {
+            message = await webhook.send({
+                threadId: thread.id,
+                username: `${memberName} (Trello)`,
+                avatarURL: member.avatarUrl ? `${member.avatarUrl}/170.png` : undefined,
+                content,
+                allowedMentions: { parse: [] }
+            });
+        } else {
+            // Without a webhook, fall back to a regular bot message that still names the author
+            message = await thread.send({
+                embeds: [this.buildCommentEmbed(memberName, content, action.date)]
+            });
+        }
+
+        console.log(`💬 Mirrored Trello comment ${action.id} from ${memberName} into thread ${thread.name}`);
+        return message;
+    }
+
+    // entry is the notification log record of the original comment
+    async editMirroredComment(thread, entry, action) {
+        const text = action.data?.action?.text || '';
+        if (!text.trim()) return false;
+
+        const content = this.formatCommentContent(text);
+
+        if (entry.webhook) {
+            const webhook = await this.getThreadWebhook(thread);
+            if (!webhook) return false;
+            await webhook.editMessage(entry.messageId, {
+                threadId: thread.id,
+                content,
+                allowedMentions: { parse: [] }
+            });
+        } else {
+            await thread.messages.edit(entry.messageId, {
+                embeds: [this.buildCommentEmbed(this.getMemberName(action), content, action.date)]
+            });
+        }
+
+        console.log(`💬 Updated mirrored comment ${action.data.action.id} in thread ${thread.name}`);
+        return true;
+    }
+
+    async mirrorDiscordReply(message, cardId) {
+        if (!this.mirrorRepliesToTrello) return;
+
+        // The starter message of a forum post lives in the card description, not in comments
+        if (message.id === message.channel.id) return;
+
+        // Webhook messages include our own mirrored Trello comments
+        if (message.author.bot || message.webhookId) return;
+
+        const attachmentUrls = [...message.attachments.values()].map(attachment => attachment.url);
+        const markdown = this.discordBot.markdown;
+        const content = markdown.convert(message.content, markdown.buildContext(message));
+        const body = [content, ...attachmentUrls].filter(Boolean).join('\n');
+        if (!body.trim()) return;
+
+        let text = `**${message.author.username}** [via Discord](${message.url}):\n\n${body}`;
+        if (text.length > TRELLO_COMMENT_LIMIT) {
+            text = `${text.slice(0, TRELLO_COMMENT_LIMIT - 1)}…`;
+        }
+
+        try {
+            const comment = await this.trelloHelper.addComment(cardId, text);
+            if (comment && comment.id) {
+                this.mirroredCommentIds.add(comment.id);
+            }
+            console.log(`💬 Mirrored Discord reply ${message.id} to card ${cardId}`);
+        } catch (error) {
+            console.error(`Failed to mirror Discord reply ${message.id} to Trello:`, error.message);
+        }
+    }
+
+    async removeMirroredReplies(messageIds, thread, cardId) {
+        if (!this.mirrorRepliesToTrello || messageIds.length === 0) return;
+
+        const messageUrls = messageIds.map(messageId =>
+            `(https://discord.com/channels/${thread.guildId}/${thread.id}/${messageId})`
+        );
+
+        try {
+            const comments = await this.trelloHelper.getCardComments(cardId);
+            const mirrored = comments.filter(comment => {
+                const text = comment.data?.text || '';
+                return text.includes(DISCORD_COMMENT_MARKER) && messageUrls.some(url => text.includes(url));
+            });
+
+            for (const comment of mirrored) {
+                await this.trelloHelper.deleteComment(comment.id);
+                console.log(`💬 Deleted Trello comment ${comment.id} mirrored from a deleted Discord message`);
+            }
+        } catch (error) {
+            console.error(`Failed to remove mirrored comments from card ${cardId}:`, error.message);
+        }
+    }
+}
+
+module.exports = CommentSync;
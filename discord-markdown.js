@@ -0,0 +1,190 @@
+const CODE_BLOCK_REGEX = /```[\s\S]*?```/g;
+const INLINE_CODE_REGEX = /`[^`\n]+`/g;
+const USER_MENTION_REGEX = /<@!?(\d+)>/g;
+const ROLE_MENTION_REGEX = /<@&(\d+)>/g;
+const CHANNEL_MENTION_REGEX = /<#(\d+)>/g;
+const COMMAND_MENTION_REGEX = /<\/([\w-]+(?: [\w-]+){0,2}):\d+>/g;
+const CUSTOM_EMOJI_REGEX = /<(a?):(\w+):(\d+)>/g;
+const TIMESTAMP_REGEX = /<t:(-?\d+)(?::([tTdDfFR]))?>/g;
+const SUPPRESSED_LINK_REGEX = /<(https?:\/\/[^\s>]+)>/g;
+const SPOILER_REGEX = /\|\|([\s\S]+?)\|\|/g;
+
+const TIMESTAMP_STYLES = {
+    t: { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' },
+    T: { hour: 'numeric', minute: '2-digit', second: '2-digit', timeZoneName: 'short' },
+    d: { year: 'numeric', month: '2-digit', day: '2-digit' },
+    D: { year: 'numeric', month: 'long', day: 'numeric' },
+    f: { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' },
+    F: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }
+};
+
+// Converts Discord message markdown to Trello markdown. convert() only depends on the
+// context it is given, so it can be exercised without a Discord connection.
+class DiscordMarkdown {
+    constructor(options = {}) {
+        this.locale = options.locale || 'en-US';
+        this.timeZone = options.timeZone || undefined;
+        this.emojiStyle = options.emojiStyle === 'image' ? 'image' : 'name';
+        this.resolveTrelloUsername = options.resolveTrelloUsername || null;
+    }
+
+    // context: { guildId, resolveUser(id), resolveTrelloUsername(id), resolveChannel(id), resolveRole(id) },
+    // resolvers return a name or null
+    convert(content, context = {}) {
+        if (!content) return '';
+
+        const state = { quoteRest: false };
+        let result = '';
+        let lastIndex = 0;
+
+        // Code blocks are copied verbatim, everything else is converted
+        for (const match of content.matchAll(CODE_BLOCK_REGEX)) {
+            result += this.convertText(content.slice(lastIndex, match.index), context, state);
+            result += this.convertCodeBlock(match[0], result, state);
+            lastIndex = match.index + match[0].length;
+
+            // The closing fence must end its line too
+            if (lastIndex < content.length && content[lastIndex] !== '\n') {
+                result += '\n';
+            }
+        }
+        result += this.convertText(content.slice(lastIndex), context, state);
+
+        return result;
+    }
+
+    convertCodeBlock(code, precedingText, state) {
+        let inner = code.slice(3, -3);
+        // Discord accepts ```one line``` blocks, Trello needs the fences on their own lines
+        if (!inner.includes('\n')) {
+            inner = `\n${inner}`;
+        }
+        if (!inner.endsWith('\n')) {
+            inner += '\n';
+        }
+
+        let block = `\`\`\`${inner}\`\`\``;
+        if (state.quoteRest) {
+            block = block.split('\n').map(line => `> ${line}`).join('\n');
+        }
+
+        const startsLine = !precedingText || precedingText.endsWith('\n') || (state.quoteRest && precedingText.endsWith('> '));
+        if (state.quoteRest && precedingText.endsWith('> ')) {
+            block = block.slice(2);
+        }
+        return `${startsLine ? '' : '\n'}${block}`;
+    }
+
+    convertText(text, context, state) {
+        if (!text) return '';
+
+        let result = '';
+        let lastIndex = 0;
+        const lines = this.convertLines(text, state);
+
+        // Inline code is left untouched as well
+        for (const match of lines.matchAll(INLINE_CODE_REGEX)) {
+            result += this.convertInline(lines.slice(lastIndex, match.index), context);
+            result += match[0];
+            lastIndex = match.index + match[0].length;
+        }
+        result += this.convertInline(lines.slice(lastIndex), context);
+
+        return result;
+    }
+
+    convertInline(text, context) {
+        return text
+            .replace(TIMESTAMP_REGEX, (match, seconds, style) => this.formatTimestamp(seconds, style) || match)
+            .replace(ROLE_MENTION_REGEX, (match, id) => `**@${this.resolve(context.resolveRole, id) || 'unknown-role'}**`)
+            .replace(USER_MENTION_REGEX, (match, id) => this.formatUserMention(id, context))
+            .replace(CHANNEL_MENTION_REGEX, (match, id) => this.formatChannel(id, context))
+            .replace(COMMAND_MENTION_REGEX, (match, name) => `\`/${name}\``)
+            .replace(CUSTOM_EMOJI_REGEX, (match, animated, name, id) => this.formatEmoji(name, id, Boolean(animated)))
+            .replace(SUPPRESSED_LINK_REGEX, '$1')
+            .replace(SPOILER_REGEX, '[SPOILER: $1]');
+    }
+
+    // Line-level syntax: multi-line quotes and subtext
+    convertLines(text, state) {
+        return text.split('\n').map((line, index) => {
+            // A segment that follows a code block continues that block's last line
+            if (index === 0 && !line.trim()) return line;
+            if (state.quoteRest) return `> ${line}`;
+
+            if (line.startsWith('>>> ')) {
+                state.quoteRest = true;
+                return `> ${line.slice(4)}`;
+            }
+
+            // Trello has no small text, subtext becomes italics
+            const subtext = line.match(/^-# (.+)$/);
+            if (subtext) return `*${subtext[1].trim()}*`;
+
+            return line;
+        }).join('\n');
+    }
+
+    resolve(resolver, id) {
+        if (typeof resolver !== 'function') return null;
+        try {
+            return resolver(id) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Users linked to a Trello member become real Trello mentions
+    formatUserMention(id, context) {
+        const trelloUsername = this.resolve(context.resolveTrelloUsername, id);
+        if (trelloUsername) return `@${trelloUsername}`;
+        return `**@${this.resolve(context.resolveUser, id) || 'unknown-user'}**`;
+    }
+
+    formatChannel(id, context) {
+        const name = this.resolve(context.resolveChannel, id) || 'unknown-channel';
+        if (!context.guildId) return `**#${name}**`;
+        return `[#${name}](https://discord.com/channels/${context.guildId}/${id})`;
+    }
+
+    formatEmoji(name, id, animated) {
+        if (this.emojiStyle === 'image') {
+            return `![${name}](https://cdn.discordapp.com/emojis/${id}.${animated ? 'gif' : 'png'}?size=24)`;
+        }
+        return `:${name}:`;
+    }
+
+    // Relative timestamps would be stale on a card, so they are shown like the default style
+    formatTimestamp(seconds, style = 'f') {
+        const date = new Date(parseInt(seconds) * 1000);
+        if (isNaN(date.getTime())) return null;
+
+        const options = TIMESTAMP_STYLES[style] || TIMESTAMP_STYLES.f;
+        try {
+            return date.toLocaleString(this.locale, { ...options, timeZone: this.timeZone });
+        } catch (error) {
+            return date.toISOString();
+        }
+    }
+
+    // Mentions carried by the message are preferred, the guild caches cover everything else
+    buildContext(message) {
+        const guild = message.guild;
+        const client = message.client;
+
+        return {
+            guildId: message.guildId,
+            resolveUser: id => {
+                const member = message.mentions?.members?.get(id) || guild?.members.cache.get(id);
+                if (member) return member.displayName;
+                const user = message.mentions?.users?.get(id) || client?.users.cache.get(id);
+                return user ? user.globalName || user.username : null;
+            },
+            resolveTrelloUsername: this.resolveTrelloUsername,
+            resolveChannel: id => (guild?.channels.cache.get(id) || client?.channels.cache.get(id))?.name || null,
+            resolveRole: id => (message.mentions?.roles?.get(id) || guild?.roles.cache.get(id))?.name || null
+        };
+    }
+}
+
+module.exports = DiscordMarkdown;
@@ -1,8 +1,32 @@
-const { Client, GatewayIntentBits, Events } = require('discord.js');
+const { Client, GatewayIntentBits, Events, Partials } = require('discord.js');
+const path = require('path');
 const TrelloHelper = require('./trello-helper');
 const TrelloPoller = require('./trello-poller');
+const TrelloWebhookServer = require('./trello-webhook-server');
+const MappingStore = require('./mapping-store');
+const CommentSync = require('./comment-sync');
+const TagLabelSync = require('./tag-label-sync');
+const ThreadLifecycle = require('./thread-lifecycle');
+const RoutingConfig = require('./routing-config');
+const SlashCommands = require('./slash-commands');
+const SyncQueue = require('./sync-queue');
+const ThreadMessageCache = require('./thread-message-cache');
+const CardAttachmentCache = require('./card-attachment-cache');
+const AttachmentUploader = require('./attachment-uploader');
+const DiscordMarkdown = require('./discord-markdown');
+const MemberIdentityStore = require('./member-identity-store');
+const ChecklistSync = require('./checklist-sync');
+const SubscriptionStore = require('./subscription-store');
+const NotificationFormatter = require('./notification-formatter');
+const CardPublisher = require('./card-publisher');
+const CardTemplate = require('./card-template');
+const Localization = require('./localization');
 require('dotenv').config();
 
+const THREAD_LINK_NAME = 'Discord Thread';
+const THREAD_LINK_REGEX = /discord(?:app)?\.com\/channels\/\d+\/(\d+)/;
+const MESSAGE_URL_REGEX = /(https?:\/\/[^\s]+)/g;
+
 class DiscordTrelloBot {
     constructor() {
         this.client = new Client({
@@ -11,138 +35,369 @@ class DiscordTrelloBot {
                 GatewayIntentBits.GuildMessages,
                 GatewayIntentBits.MessageContent,
                 GatewayIntentBits.GuildMessageReactions
-            ]
+            ],
+            // Deletes of messages sent before the bot started, and reactions to them, are only emitted as partials
+            partials: [Partials.Message, Partials.Reaction, Partials.User]
         });
 
         this.trello = new TrelloHelper(process.env.TRELLO_KEY, process.env.TRELLO_TOKEN);
-        this.threadCardMap = new Map(); // threadId -> cardId
-        this.cardThreadMap = new Map(); // cardId -> threadId (reverse mapping)
-        this.processingThreads = new Set();
+        this.routing = new RoutingConfig(process.env.ROUTING_CONFIG_PATH || path.join(__dirname, 'routing.json'));
+        this.dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.localization = new Localization({
+            locale: process.env.LOCALE,
+            timeZone: process.env.TIME_ZONE,
+            stringsPath: process.env.LOCALE_STRINGS_PATH,
+            discordTimestamps: process.env.EMBED_DISCORD_TIMESTAMPS === 'true'
+        });
+        this.mappingStore = new MappingStore(path.join(this.dataDir, 'mappings.json'));
+        this.syncQueue = new SyncQueue(
+            parseInt(process.env.SYNC_DEBOUNCE_MS) || 3000,
+            parseInt(process.env.SYNC_MAX_WAIT_MS) || 15000
+        );
+        this.messageCache = new ThreadMessageCache(
+            thread => this.fetchAllThreadMessages(thread),
+            parseInt(process.env.MESSAGE_CACHE_THREADS) || 100
+        );
+        this.cardAttachments = new CardAttachmentCache(
+            cardId => this.trello.searchAttachments(cardId),
+            parseInt(process.env.MESSAGE_CACHE_THREADS) || 100
+        );
+        this.attachmentUploader = new AttachmentUploader(this.trello);
+        this.descriptionLimit = parseInt(process.env.CARD_DESCRIPTION_LIMIT) || 16000;
+        this.cardTemplate = new CardTemplate(this.routing, {
+            style: process.env.CARD_TEMPLATE_STYLE,
+            templatePath: process.env.CARD_TEMPLATE_PATH
+        });
+        this.memberIdentities = new MemberIdentityStore(
+            path.join(this.dataDir, 'members.json'),
+            this.trello,
+            process.env.TRELLO_MEMBER_MAP
+        );
+        this.addCreatorToCard = process.env.ADD_THREAD_CREATOR_TO_CARD !== 'false';
+        this.subscriptions = new SubscriptionStore(
+            path.join(this.dataDir, 'subscriptions.json'),
+            [...NotificationFormatter.getCategories(), 'comments']
+        );
+        this.subscribeEmoji = process.env.SUBSCRIBE_REACTION_EMOJI || '🔔';
+        this.markdown = new DiscordMarkdown({
+            emojiStyle: process.env.CARD_CUSTOM_EMOJI_STYLE,
+            locale: this.localization.locale,
+            timeZone: this.localization.timeZone,
+            resolveTrelloUsername: userId => this.memberIdentities.get(userId)?.username
+        });
+        this.commentSync = new CommentSync(this, this.trello);
+        this.tagLabelSync = new TagLabelSync(this, this.trello);
+        this.threadLifecycle = new ThreadLifecycle(this, this.trello);
+        this.checklistSync = new ChecklistSync(this, this.trello);
+        this.cardPublisher = new CardPublisher(this, this.trello);
+        this.slashCommands = new SlashCommands(this, this.trello);
         
-        // Initialize polling service if enabled
-        if (process.env.ENABLE_TRELLO_POLLING === 'true') {
+        // Initialize polling service if enabled (it also processes webhook-delivered actions)
+        const webhookEnabled = process.env.ENABLE_TRELLO_WEBHOOK === 'true';
+        if (process.env.ENABLE_TRELLO_POLLING === 'true' || webhookEnabled) {
             const intervalSeconds = parseInt(process.env.POLLING_INTERVAL_SECONDS) || 30;
             this.trelloPoller = new TrelloPoller(this, this.trello, intervalSeconds);
         }
 
+        if (webhookEnabled) {
+            this.webhookServer = new TrelloWebhookServer(this.trelloPoller, this.trello, {
+                port: parseInt(process.env.WEBHOOK_PORT) || 3000,
+                path: process.env.WEBHOOK_PATH || '/trello/webhook',
+                callbackURL: process.env.TRELLO_WEBHOOK_CALLBACK_URL,
+                appSecret: process.env.TRELLO_APP_SECRET,
+                boardIds: this.routing.getBoardIds(),
+                autoRegister: process.env.TRELLO_WEBHOOK_AUTO_REGISTER !== 'false'
+            });
+        }
+
         this.setupEventHandlers();
     }
 
     // Add method to find thread by card ID
     findThreadByCardId(cardId) {
-        return this.cardThreadMap.get(cardId);
+        return this.mappingStore.getThreadId(cardId);
+    }
+
+    findCardByThreadId(threadId) {
+        return this.mappingStore.getCardId(threadId);
+    }
+
+    linkThreadToCard(threadId, cardId, details = {}) {
+        return this.mappingStore.set(threadId, {
+            cardId,
+            boardId: details.boardId || null,
+            listId: details.listId || null,
+            origin: details.origin || 'discord', // 'trello' when the thread was published from a card
+            linkedAt: new Date().toISOString()
+        });
     }
 
     setupEventHandlers() {
         this.client.once(Events.ClientReady, async () => {
             console.log(`Bot is ready! Logged in as ${this.client.user.tag}`);
+
+            const guild = this.client.guilds.cache.get(process.env.GUILD_ID);
+            if (guild) {
+                await this.slashCommands.register(guild);
+            }
+
+            await this.memberIdentities.resolveConfigured();
             await this.initializeExistingThreads();
             
-            // Start polling service after Discord client is ready
-            if (this.trelloPoller) {
+            // Start polling service after Discord client is ready, polling is the fallback when webhooks fail
+            if (this.webhookServer) {
+                const webhookReady = await this.webhookServer.start();
+                if (!webhookReady) {
+                    console.log('⚠️ Webhook receiver unavailable, falling back to polling');
+                }
+                this.trelloPoller.start({ polling: !webhookReady });
+            } else if (this.trelloPoller) {
                 this.trelloPoller.start();
             }
         });
 
+        this.client.on(Events.InteractionCreate, async (interaction) => {
+            await this.slashCommands.handleInteraction(interaction);
+        });
+
         this.client.on(Events.ThreadCreate, async (thread) => {
-            if (thread.parentId === process.env.FORUM_CHANNEL_ID) {
+            if (this.routing.isRoutedForum(thread.parentId)) {
                 await this.handleNewThread(thread);
             }
         });
 
+        this.client.on(Events.ThreadUpdate, async (oldThread, newThread) => {
+            if (this.routing.isRoutedForum(newThread.parentId)) {
+                // Archived threads go quiet, their history is fetched again if they are ever reopened
+                if (!oldThread.archived && newThread.archived) {
+                    this.messageCache.evict(newThread.id);
+                }
+                await this.handleThreadUpdate(oldThread, newThread);
+            }
+        });
+
+        this.client.on(Events.ThreadDelete, async (thread) => {
+            if (this.routing.isRoutedForum(thread.parentId)) {
+                this.syncQueue.cancel(thread.id);
+                this.messageCache.evict(thread.id);
+                this.subscriptions.deleteThread(thread.id);
+                await this.threadLifecycle.handleThreadDelete(thread);
+            }
+        });
+
         this.client.on(Events.MessageCreate, async (message) => {
             if (message.channel.isThread() &&
-                message.channel.parentId === process.env.FORUM_CHANNEL_ID) {
-                await this.handleThreadMessage(message);
+                this.routing.isRoutedForum(message.channel.parentId)) {
+                await this.handleThreadMessage(message, true);
             }
         });
 
         this.client.on(Events.MessageUpdate, async (oldMessage, newMessage) => {
             if (newMessage.channel.isThread() &&
-                newMessage.channel.parentId === process.env.FORUM_CHANNEL_ID) {
+                this.routing.isRoutedForum(newMessage.channel.parentId)) {
+                if (newMessage.partial) {
+                    newMessage = await newMessage.fetch().catch(() => null);
+                    if (!newMessage) return;
+                }
                 await this.handleThreadMessage(newMessage);
             }
         });
+
+        this.client.on(Events.MessageDelete, async (message) => {
+            const thread = message.channel;
+            if (thread && thread.isThread() &&
+                this.routing.isRoutedForum(thread.parentId)) {
+                await this.handleDeletedMessages(thread, [message]);
+            }
+        });
+
+        this.client.on(Events.MessageBulkDelete, async (messages, channel) => {
+            if (channel && channel.isThread() &&
+                this.routing.isRoutedForum(channel.parentId)) {
+                await this.handleDeletedMessages(channel, [...messages.values()]);
+            }
+        });
+
+        this.client.on(Events.MessageReactionAdd, async (reaction, user) => {
+            await this.handleSubscriptionReaction(reaction, user, true);
+        });
+
+        this.client.on(Events.MessageReactionRemove, async (reaction, user) => {
+            await this.handleSubscriptionReaction(reaction, user, false);
+        });
+    }
+
+    // Reacting to one of the bot's notifications subscribes to DMs about the card, removing the reaction unsubscribes
+    async handleSubscriptionReaction(reaction, user, subscribe) {
+        if (user.bot) return;
+
+        try {
+            if (reaction.partial) {
+                reaction = await reaction.fetch();
+            }
+            if (reaction.emoji.name !== this.subscribeEmoji) return;
+
+            const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+            const thread = message.channel;
+            if (!thread || !thread.isThread() || !this.routing.isRoutedForum(thread.parentId)) return;
+            if (message.author?.id !== this.client.user.id && !message.webhookId) return;
+
+            const cardId = this.findCardByThreadId(thread.id);
+            if (!cardId) return;
+
+            if (subscribe) {
+                this.subscriptions.subscribe(cardId, user.id);
+                console.log(`🔔 ${user.username} subscribed to card ${cardId} by reaction`);
+            } else {
+                this.subscriptions.unsubscribe(cardId, user.id);
+                console.log(`🔕 ${user.username} unsubscribed from card ${cardId} by reaction`);
+            }
+        } catch (error) {
+            console.error('Error handling subscription reaction:', error);
+        }
     }
 
     async initializeExistingThreads() {
+        const guild = this.client.guilds.cache.get(process.env.GUILD_ID);
+        if (!guild) {
+            console.error('Guild not found, check GUILD_ID');
+            return;
+        }
+
+        for (const forumChannelId of this.routing.getForumIds()) {
+            await this.initializeForumThreads(guild, forumChannelId);
+        }
+    }
+
+    async initializeForumThreads(guild, forumChannelId) {
         try {
-            const guild = this.client.guilds.cache.get(process.env.GUILD_ID);
-            const forumChannel = guild.channels.cache.get(process.env.FORUM_CHANNEL_ID);
+            const forumChannel = guild.channels.cache.get(forumChannelId);
             if (!forumChannel || !forumChannel.isThreadOnly()) {
-                console.error('Forum channel not found or is not a forum channel');
+                console.error(`Forum channel ${forumChannelId} not found or is not a forum channel`);
                 return;
             }
 
-            const threads = await forumChannel.threads.fetchActive();
-            for (const [threadId, thread] of threads.threads) {
+            const boardIds = this.routing.getForumBoardIds(forumChannelId);
+            await this.tagLabelSync.initialize(forumChannel, boardIds);
+
+            const fetched = await forumChannel.threads.fetchActive();
+            const threads = fetched.threads.filter(thread => thread.parentId === forumChannelId);
+            await this.migrateCardIdentities(threads, boardIds);
+
+            for (const [threadId, thread] of threads) {
                 await this.processExistingThread(thread);
             }
 
-            console.log(`Initialized ${threads.threads.size} existing threads`);
+            await this.tagLabelSync.reconcile(threads);
+
+            console.log(`Initialized ${threads.size} existing threads in #${forumChannel.name}`);
         } catch (error) {
-            console.error('Error initializing existing threads:', error);
+            console.error(`Error initializing existing threads for forum ${forumChannelId}:`, error);
         }
     }
 
     async processExistingThread(thread) {
-        try {
-            const threadCreator = await this.getThreadCreator(thread);
-            const existingCardId = await this.findExistingCard(thread.name, threadCreator);
-            
-            if (existingCardId) {
-                console.log(`Found existing card for thread: ${thread.name} by ${threadCreator}`);
-                this.threadCardMap.set(thread.id, existingCardId);
-                this.cardThreadMap.set(existingCardId, thread.id); // Add reverse mapping
-                await this.updateCardWithAllMessages(thread, existingCardId);
-            } else {
-                console.log(`No existing card found for thread: ${thread.name} by ${threadCreator}, creating new one`);
-                await this.createNewThreadCard(thread);
+        await this.syncQueue.run(thread.id, async () => {
+            try {
+                const storedCardId = this.findCardByThreadId(thread.id);
+                if (storedCardId) {
+                    console.log(`Found stored card mapping for thread: ${thread.name}`);
+                    await this.updateCardWithAllMessages(thread, storedCardId);
+                    return;
+                }
+
+                const threadCreator = await this.getThreadCreator(thread);
+                const existingCard = await this.findExistingCard(thread, threadCreator);
+                
+                if (existingCard) {
+                    console.log(`Found existing card for thread: ${thread.name} by ${threadCreator}`);
+                    this.linkThreadToCard(thread.id, existingCard.id, {
+                        boardId: existingCard.idBoard,
+                        listId: existingCard.idList
+                    });
+                    await this.updateCardWithAllMessages(thread, existingCard.id);
+                } else {
+                    console.log(`No existing card found for thread: ${thread.name} by ${threadCreator}, creating new one`);
+                    await this.createNewThreadCard(thread);
+                }
+            } catch (error) {
+                console.error(`Error processing existing thread ${thread.name}:`, error);
             }
-        } catch (error) {
-            console.error(`Error processing existing thread ${thread.name}:`, error);
-        }
+        });
     }
 
     async handleNewThread(thread) {
-        if (this.threadCardMap.has(thread.id)) {
+        // Posts the bot opens itself are published cards, they are linked by the publisher
+        if (thread.ownerId && thread.ownerId === this.client.user?.id) {
+            return this.findCardByThreadId(thread.id);
+        }
+
+        if (this.mappingStore.has(thread.id)) {
             console.log(`Thread ${thread.name} already has a mapped card, updating it`);
-            const cardId = this.threadCardMap.get(thread.id);
-            await this.updateCardWithAllMessages(thread, cardId);
-            return;
+            this.scheduleCardSync(thread);
+            return this.findCardByThreadId(thread.id);
         }
 
-        if (this.processingThreads.has(thread.id)) {
-            console.log(`Thread ${thread.name} is already being processed, waiting...`);
-            let attempts = 0;
-            while (this.processingThreads.has(thread.id) && attempts < 10) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-                attempts++;
+        // Card creation shares the thread's sync queue, so ThreadCreate and the
+        // first message event can never both create a card
+        return this.syncQueue.run(thread.id, async () => {
+            if (this.mappingStore.has(thread.id)) {
+                console.log(`Thread ${thread.name} card was created while waiting`);
+                return this.findCardByThreadId(thread.id);
             }
 
-            if (this.threadCardMap.has(thread.id)) {
-                console.log(`Thread ${thread.name} card was created while waiting`);
-                return;
+            try {
+                const threadCreator = await this.getThreadCreator(thread);
+                const existingCard = await this.findExistingCard(thread, threadCreator);
+                
+                if (existingCard) {
+                    console.log(`Thread ${thread.name} by ${threadCreator} already has a card, using existing`);
+                    this.linkThreadToCard(thread.id, existingCard.id, {
+                        boardId: existingCard.idBoard,
+                        listId: existingCard.idList
+                    });
+                    await this.updateCardWithAllMessages(thread, existingCard.id);
+                } else {
+                    await this.createNewThreadCard(thread);
+                }
+            } catch (error) {
+                console.error(`Error handling new thread ${thread.name}:`, error);
             }
-        }
 
-        this.processingThreads.add(thread.id);
+            return this.findCardByThreadId(thread.id);
+        });
+    }
+
+    // Debounced: a burst of messages in one thread results in a single Trello write
+    scheduleCardSync(thread) {
+        this.syncQueue.schedule(thread.id, async () => {
+            const cardId = this.findCardByThreadId(thread.id);
+            if (!cardId) return;
+
+            await this.updateCardWithAllMessages(thread, cardId);
+            console.log(`✅ Updated Trello card for thread: ${thread.name}`);
+        });
+    }
+
+    // Immediate, but still serialized with any other sync of the same thread
+    async syncCard(thread, cardId) {
+        await this.syncQueue.run(thread.id, () => this.updateCardWithAllMessages(thread, cardId));
+    }
+
+    async handleThreadUpdate(oldThread, newThread) {
         try {
-            const threadCreator = await this.getThreadCreator(thread);
-            const existingCardId = await this.findExistingCard(thread.name, threadCreator);
-            
-            if (existingCardId) {
-                console.log(`Thread ${thread.name} by ${threadCreator} already has a card, using existing`);
-                this.threadCardMap.set(thread.id, existingCardId);
-                this.cardThreadMap.set(existingCardId, thread.id); // Add reverse mapping
-                await this.updateCardWithAllMessages(thread, existingCardId);
-            } else {
-                await this.createNewThreadCard(thread);
+            const cardId = this.findCardByThreadId(newThread.id);
+            if (!cardId) return;
+
+            const oldTags = [...(oldThread.appliedTags || [])].sort().join(',');
+            const newTags = [...(newThread.appliedTags || [])].sort().join(',');
+            if (oldTags !== newTags) {
+                await this.tagLabelSync.syncThreadTagsToCard(newThread, cardId, oldThread.appliedTags || []);
             }
+
+            await this.threadLifecycle.handleThreadUpdate(oldThread, newThread);
         } catch (error) {
-            console.error(`Error handling new thread ${thread.name}:`, error);
-        } finally {
-            this.processingThreads.delete(thread.id);
+            console.error(`Error handling update of thread ${newThread.name}:`, error);
         }
     }
 
@@ -154,8 +409,13 @@ class DiscordTrelloBot {
                 throw new Error('Card creation returned invalid data');
             }
 
-            this.threadCardMap.set(thread.id, cardData.id);
-            this.cardThreadMap.set(cardData.id, thread.id); // Add reverse mapping
+            this.linkThreadToCard(thread.id, cardData.id, {
+                boardId: cardData.idBoard,
+                listId: cardData.idList
+            });
+            await this.tagCardWithThread(cardData.id, thread);
+            await this.tagLabelSync.syncThreadTagsToCard(thread, cardData.id);
+            await this.addThreadCreatorToCard(thread, cardData.id);
             
             await this.updateCardWithAllMessages(thread, cardData.id);
             
@@ -168,32 +428,26 @@ class DiscordTrelloBot {
 
     async createTrelloCard(thread) {
         try {
-            const threadCreator = await this.getThreadCreator(thread);
-            const cardName = `[Discord] ${thread.name} - by ${threadCreator}`;
+            const route = this.routing.resolve(thread);
             
-            const threadCreated = new Date(thread.createdTimestamp).toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                timeZoneName: 'short'
-            });
+            const threadCreated = this.localization.formatDate(thread.createdTimestamp, 'dateTime');
 
-            const cardDescription = `# 💬 ${thread.name}\n\n**📍 Thread Details**\n• **ID:** \`${thread.id}\`\n• **Creator:** ${threadCreator}\n• **Created:** ${threadCreated}\n\n*Loading thread content...*`;
+            const variables = await this.getTemplateVariables(thread, [], threadCreated);
+            const cardName = this.cardTemplate.render(thread.parentId, 'title', variables);
+            const cardDescription = this.cardTemplate.render(thread.parentId, 'initialDescription', variables);
 
             const cardData = {
                 name: cardName,
                 desc: cardDescription,
-                idList: process.env.TRELLO_LIST_ID,
+                idList: route.listId,
                 pos: 'top'
             };
 
             console.log(`Making Trello API call to create card: ${cardName}`);
-            console.log(`Using List ID: ${process.env.TRELLO_LIST_ID}`);
+            console.log(`Using Board ID: ${route.boardId}, List ID: ${route.listId}`);
             console.log(`Card data:`, cardData);
 
-            const result = await this.trello.card.create(cardData);
+            const result = await this.trello.createCard(cardData);
             console.log(`Trello API response:`, result);
             return result;
         } catch (error) {
@@ -202,6 +456,22 @@ class DiscordTrelloBot {
         }
     }
 
+    // The creator only becomes a card member when they linked their Trello account
+    async addThreadCreatorToCard(thread, cardId) {
+        if (!this.addCreatorToCard || !thread.ownerId) return;
+
+        const identity = this.memberIdentities.get(thread.ownerId);
+        if (!identity) return;
+
+        try {
+            await this.trello.addMemberToCard(cardId, identity.trelloMemberId);
+            console.log(`🪪 Added ${identity.username} to card ${cardId} as the thread creator`);
+        } catch (error) {
+            // Trello rejects members that are not on the card's board
+            console.error(`Could not add ${identity.username} to card ${cardId}:`, error.message);
+        }
+    }
+
     async getThreadCreator(thread) {
         try {
             if (thread.ownerId) {
@@ -221,7 +491,7 @@ class DiscordTrelloBot {
         }
     }
 
-    async handleThreadMessage(message) {
+    async handleThreadMessage(message, isNewMessage = false) {
         try {
             // Ignore messages from bots (including this bot's own notifications)
             if (message.author.bot) {
@@ -229,81 +499,196 @@ class DiscordTrelloBot {
                 return;
             }
     
-            let cardId = this.threadCardMap.get(message.channel.id);
+            this.messageCache.upsert(message);
+
+            let cardId = this.findCardByThreadId(message.channel.id);
             if (!cardId) {
                 console.log(`No card found for thread ${message.channel.name}, creating one...`);
-                await this.handleNewThread(message.channel);
-                cardId = this.threadCardMap.get(message.channel.id);
+                cardId = await this.handleNewThread(message.channel);
                 if (!cardId) {
                     console.error(`❌ Failed to create card for thread ${message.channel.name}`);
                     return;
                 }
             }
     
-            await this.updateCardWithAllMessages(message.channel, cardId);
-            console.log(`✅ Updated Trello card for message in thread: ${message.channel.name}`);
+            this.scheduleCardSync(message.channel);
+
+            if (isNewMessage) {
+                // A checklist trigger is a command, not a reply worth mirroring as a comment
+                const addedChecklistItems = await this.checklistSync.handleMessage(message, cardId);
+                if (!addedChecklistItems) {
+                    await this.commentSync.mirrorDiscordReply(message, cardId);
+                }
+            }
         } catch (error) {
             console.error('Error handling thread message:', error);
         }
     }
     
 
-    async updateCardWithAllMessages(thread, cardId) {
+    async handleDeletedMessages(thread, deletedMessages) {
         try {
-            const messages = await this.fetchAllThreadMessages(thread);
-            const threadCreated = new Date(thread.createdTimestamp).toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                timeZoneName: 'short'
+            // Prefer our cached copies, partial delete events carry no content
+            const removed = deletedMessages.map(message => {
+                const cached = this.messageCache.get(thread.id, message.id);
+                this.messageCache.remove(thread.id, message.id);
+                return cached || (message.partial ? null : message);
             });
 
-            let description = `# 💬 ${thread.name}\n\n`;
-            description += `**📍 Thread Details**\n`;
-            description += `• **ID:** \`${thread.id}\`\n`;
-            description += `• **Created:** ${threadCreated}\n`;
-            description += `• **Messages:** ${messages.length}\n`;
-            description += `• **Participants:** ${new Set(messages.map(m => m.author.username)).size}\n\n`;
+            const cardId = this.findCardByThreadId(thread.id);
+            if (!cardId) return;
 
-            const participants = [...new Set(messages.map(m => m.author.username))];
-            description += `**👥 Participants:** ${participants.join(', ')}\n\n`;
+            const humanMessageIds = deletedMessages
+                .filter(message => !message.author?.bot)
+                .map(message => message.id);
+            if (humanMessageIds.length === 0) return;
 
-            const originalPost = messages[0];
-            const replies = messages.slice(1);
+            console.log(`🗑️ ${humanMessageIds.length} message(s) deleted in thread ${thread.name}, updating card`);
 
-            description += `## 📋 Original Thread Post\n`;
-            description += `**═══════════════════════════════════════**\n\n`;
+            // Not debounced: deleted messages often contain something that should not stay on the card
+            await this.syncQueue.run(thread.id, async () => {
+                await this.removeDeletedMessageAttachments(thread, cardId, removed.filter(Boolean));
+                await this.commentSync.removeMirroredReplies(humanMessageIds, thread, cardId);
+                await this.updateCardWithAllMessages(thread, cardId);
+            });
+        } catch (error) {
+            console.error(`Error handling deleted messages in thread ${thread.name}:`, error);
+        }
+    }
 
-            if (originalPost) {
-                description += await this.formatMessageForCard(originalPost, true);
+    // Only removes attachments and links that no remaining message still references
+    // Runs once per thread: cards synced before uploads existed carry Discord files as links to the same CDN URL.
+    // Names are never compared, Discord calls every pasted screenshot image.png.
+    migrateLegacyAttachments(thread, messages, existingAttachments) {
+        const mappedAttachmentIds = new Set(Object.values(this.mappingStore.get(thread.id)?.attachments || {}));
+        let migrated = 0;
+
+        for (const message of messages) {
+            for (const attachment of message.attachments.values()) {
+                if (this.mappingStore.getAttachmentId(thread.id, attachment.id)) continue;
+
+                const baseUrl = attachment.url.split('?')[0];
+                const legacyAttachment = existingAttachments.find(att =>
+                    !mappedAttachmentIds.has(att.id) && att.url && att.url.split('?')[0] === baseUrl
+                );
+                if (!legacyAttachment) continue;
+
+                this.mappingStore.setAttachmentId(thread.id, attachment.id, legacyAttachment.id);
+                mappedAttachmentIds.add(legacyAttachment.id);
+                migrated++;
             }
+        }
 
-            description += `\n**═══════════════════════════════════════**\n`;
-            description += `**⬆️ END OF ORIGINAL POST ⬆️**\n`;
-            description += `**═══════════════════════════════════════**\n\n`;
+        this.mappingStore.set(thread.id, { attachmentsMigrated: true });
+        if (migrated > 0) {
+            console.log(`📎 Matched ${migrated} legacy attachment link(s) on the card of thread ${thread.name}`);
+        }
+    }
 
-            if (replies.length > 0) {
-                description += `## 💬 Thread Replies & Discussion\n`;
-                description += `**🔽 NEW CONTENT STARTS HERE 🔽**\n\n`;
+    async removeDeletedMessageAttachments(thread, cardId, removedMessages) {
+        const remainingMessages = await this.messageCache.getMessages(thread);
 
-                const repliesByDate = this.groupMessagesByDate(replies);
-                for (const [date, dayMessages] of repliesByDate) {
-                    description += `### 📅 ${date}\n`;
-                    for (const message of dayMessages) {
-                        description += await this.formatMessageForCard(message, false);
-                    }
-                }
-            } else {
-                description += `## 💬 Thread Replies\n`;
-                description += `*No replies yet - this thread only contains the original post.*\n`;
+        // Uploaded files belong to exactly one Discord attachment. They are found through the stored mapping,
+        // so files of deleted messages that were no longer cached (evicted or from before a restart) go as well.
+        const remainingAttachmentIds = new Set();
+        remainingMessages.forEach(message => {
+            for (const attachment of message.attachments.values()) {
+                remainingAttachmentIds.add(attachment.id);
+            }
+        });
+
+        const mappedAttachments = this.mappingStore.get(thread.id)?.attachments || {};
+        for (const [discordAttachmentId, trelloAttachmentId] of Object.entries(mappedAttachments)) {
+            if (remainingAttachmentIds.has(discordAttachmentId)) continue;
+
+            try {
+                await this.deleteCardAttachment(cardId, trelloAttachmentId);
+                this.mappingStore.deleteAttachmentId(thread.id, discordAttachmentId);
+                console.log(`🗑️ Removed attachment ${trelloAttachmentId} of a deleted message from card ${cardId}`);
+            } catch (error) {
+                console.error(`Failed to remove attachment ${trelloAttachmentId}:`, error.message);
+            }
+        }
+
+        const deletedUrls = new Set();
+        removedMessages.forEach(message => {
+            this.getMessageSourceUrls(message).forEach(url => deletedUrls.add(url));
+        });
+        if (deletedUrls.size === 0) return;
+
+        // Links are matched by URL, which only the cached copies of deleted messages still have
+        const remainingUrls = new Set();
+        remainingMessages.forEach(message => {
+            this.getMessageSourceUrls(message).forEach(url => remainingUrls.add(url));
+        });
+
+        const attachments = await this.getCardAttachments(cardId);
+        const orphaned = attachments.filter(attachment => {
+            if (!attachment.url || attachment.name === THREAD_LINK_NAME) return false;
+            const baseUrl = attachment.url.split('?')[0];
+            return deletedUrls.has(baseUrl) && !remainingUrls.has(baseUrl);
+        });
+
+        for (const attachment of orphaned) {
+            try {
+                await this.deleteCardAttachment(cardId, attachment.id);
+                console.log(`🗑️ Removed attachment ${attachment.name} from card ${cardId}`);
+            } catch (error) {
+                console.error(`Failed to remove attachment ${attachment.name}:`, error.message);
             }
+        }
+    }
+
+    // Base URLs of everything updateCardWithAllMessages would attach for this message
+    getMessageSourceUrls(message) {
+        const urls = [];
+
+        for (const attachment of message.attachments.values()) {
+            urls.push(attachment.url);
+        }
 
-            await this.trello.card.update(cardId, { desc: description });
+        for (const embed of message.embeds) {
+            const embedAttachment = this.getEmbedAttachment(embed);
+            if (embedAttachment) {
+                urls.push(embedAttachment.url);
+            }
+        }
+
+        urls.push(...(message.content.match(MESSAGE_URL_REGEX) || []));
+
+        return urls.map(url => url.split('?')[0]);
+    }
+
+    getEmbedAttachment(embed) {
+        if (embed.image && embed.image.url) {
+            return { url: embed.image.url, name: embed.title || 'Embedded Image' };
+        }
+        if (embed.video && embed.video.url) {
+            return { url: embed.video.url, name: embed.title || 'Embedded Video' };
+        }
+        if (embed.url && embed.type !== 'image' && embed.type !== 'gifv') {
+            return { url: embed.url, name: embed.title || 'Embedded Link' };
+        }
+        return null;
+    }
+
+    async updateCardWithAllMessages(thread, cardId) {
+        try {
+            const messages = await this.messageCache.getMessages(thread);
+            const threadCreated = this.localization.formatDate(thread.createdTimestamp, 'dateTime');
+
+            const { description, transcript } = await this.buildCardDescription(thread, messages, threadCreated);
+            // Published cards keep the description written in Trello
+            if (this.mappingStore.get(thread.id)?.origin !== 'trello') {
+                await this.trello.updateCard(cardId, { desc: description });
+            }
 
             // Process attachments
-            const existingAttachments = await this.trello.searchAttachments(cardId);
+            const existingAttachments = await this.getCardAttachments(cardId);
+            if (transcript) {
+                await this.uploadTranscript(cardId, thread, transcript, existingAttachments);
+            }
+
             const existingUrls = new Set();
             const existingNames = new Set();
 
@@ -323,56 +708,40 @@ class DiscordTrelloBot {
             const processedUrls = new Set();
             const processedNames = new Set();
 
+            if (this.mappingStore.has(thread.id) && !this.mappingStore.get(thread.id).attachmentsMigrated) {
+                this.migrateLegacyAttachments(thread, messages, existingAttachments);
+            }
+
             for (const message of messages) {
-                // Process Discord attachments
+                // Process Discord attachments, tracked by attachment ID so each file is uploaded once
                 for (const attachment of message.attachments.values()) {
-                    const baseUrl = attachment.url.split('?')[0];
-                    const isDuplicateUrl = existingUrls.has(attachment.url) ||
-                        existingUrls.has(baseUrl) ||
-                        processedUrls.has(attachment.url) ||
-                        processedUrls.has(baseUrl);
+                    if (this.mappingStore.getAttachmentId(thread.id, attachment.id)) continue;
 
-                    const isDuplicateName = existingNames.has(attachment.name) ||
-                        processedNames.has(attachment.name);
-
-                    if (!isDuplicateUrl && !isDuplicateName) {
-                        console.log(`Adding new attachment: ${attachment.name}`);
-                        try {
-                            await this.trello.addAttachment(cardId, {
-                                url: attachment.url,
-                                name: attachment.name
-                            });
-                            processedUrls.add(attachment.url);
-                            processedUrls.add(baseUrl);
-                            processedNames.add(attachment.name);
-                            existingUrls.add(attachment.url);
-                            existingUrls.add(baseUrl);
-                            existingNames.add(attachment.name);
-                        } catch (error) {
-                            console.error(`Failed to add attachment ${attachment.name}:`, error.message);
+                    const baseUrl = attachment.url.split('?')[0];
+                    console.log(`Adding new attachment: ${attachment.name}`);
+                    try {
+                        const trelloAttachment = await this.attachmentUploader.attach(cardId, attachment);
+                        this.rememberCardAttachment(cardId, trelloAttachment);
+                        if (trelloAttachment && trelloAttachment.id) {
+                            this.mappingStore.setAttachmentId(thread.id, attachment.id, trelloAttachment.id);
                         }
-                    } else {
-                        console.log(`Skipping duplicate attachment: ${attachment.name}`);
+                        processedUrls.add(attachment.url);
+                        processedUrls.add(baseUrl);
+                        processedNames.add(attachment.name);
+                        existingUrls.add(attachment.url);
+                        existingUrls.add(baseUrl);
+                        existingNames.add(attachment.name);
+                    } catch (error) {
+                        console.error(`Failed to add attachment ${attachment.name}:`, error.message);
                     }
                 }
 
                 // Process embeds
                 for (const embed of message.embeds) {
-                    let attachmentName = 'Embedded Content';
-                    let urlToProcess = null;
-
-                    if (embed.image && embed.image.url) {
-                        urlToProcess = embed.image.url;
-                        attachmentName = embed.title || 'Embedded Image';
-                    } else if (embed.video && embed.video.url) {
-                        urlToProcess = embed.video.url;
-                        attachmentName = embed.title || 'Embedded Video';
-                    } else if (embed.url && embed.type !== 'image' && embed.type !== 'gifv') {
-                        urlToProcess = embed.url;
-                        attachmentName = embed.title || 'Embedded Link';
-                    }
+                    const embedAttachment = this.getEmbedAttachment(embed);
 
-                    if (urlToProcess) {
+                    if (embedAttachment) {
+                        const { url: urlToProcess, name: attachmentName } = embedAttachment;
                         const baseUrl = urlToProcess.split('?')[0];
                         const isDuplicateUrl = existingUrls.has(urlToProcess) ||
                             existingUrls.has(baseUrl) ||
@@ -385,7 +754,7 @@ class DiscordTrelloBot {
                         if (!isDuplicateUrl && !isDuplicateName) {
                             console.log(`Adding new embed attachment: ${attachmentName}`);
                             try {
-                                await this.trello.addAttachment(cardId, {
+                                await this.addCardAttachment(cardId, {
                                     url: urlToProcess,
                                     name: attachmentName
                                 });
@@ -405,8 +774,7 @@ class DiscordTrelloBot {
                 }
 
                 // Extract URLs from message content
-                const urlRegex = /(https?:\/\/[^\s]+)/g;
-                const urls = message.content.match(urlRegex) || [];
+                const urls = message.content.match(MESSAGE_URL_REGEX) || [];
 
                 for (const url of urls) {
                     const baseUrl = url.split('?')[0];
@@ -420,7 +788,7 @@ class DiscordTrelloBot {
                     if (!isDuplicateUrl) {
                         console.log(`Adding new URL attachment: ${url}`);
                         try {
-                            await this.trello.addAttachment(cardId, {
+                            await this.addCardAttachment(cardId, {
                                 url: url,
                                 name: attachmentName
                             });
@@ -437,20 +805,150 @@ class DiscordTrelloBot {
                 }
             }
 
+            this.mappingStore.touch(thread.id);
             console.log(`Finished processing attachments. Total processed: ${processedUrls.size}`);
         } catch (error) {
             console.error('Error updating card with all messages:', error);
         }
     }
 
+    async getCardAttachments(cardId) {
+        return this.cardAttachments.get(cardId);
+    }
+
+    rememberCardAttachment(cardId, attachment) {
+        this.cardAttachments.add(cardId, attachment);
+    }
+
+    // Called when someone else changed the card's attachments in Trello
+    forgetCardAttachments(cardId) {
+        this.cardAttachments.forget(cardId);
+    }
+
+    async addCardAttachment(cardId, attachmentData) {
+        const attachment = await this.trello.addAttachment(cardId, attachmentData);
+        this.rememberCardAttachment(cardId, attachment);
+        return attachment;
+    }
+
+    async deleteCardAttachment(cardId, attachmentId) {
+        await this.trello.deleteAttachment(cardId, attachmentId);
+        this.cardAttachments.remove(cardId, attachmentId);
+    }
+
+    // Placeholders available to every card template of a thread
+    async getTemplateVariables(thread, messages, threadCreated) {
+        const participants = [...new Set(messages.map(m => m.author.username))];
+        const availableTags = thread.parent?.availableTags || [];
+        const tags = (thread.appliedTags || [])
+            .map(tagId => availableTags.find(tag => tag.id === tagId)?.name)
+            .filter(Boolean);
+
+        return {
+            threadName: thread.name,
+            threadId: thread.id,
+            threadUrl: this.getThreadUrl(thread),
+            forum: thread.parent?.name || '',
+            creator: await this.getThreadCreator(thread),
+            created: threadCreated,
+            tags: tags.join(', '),
+            messageCount: messages.length,
+            participantCount: participants.length,
+            participants: participants.join(', ')
+        };
+    }
+
+    async buildCardDescription(thread, messages, threadCreated) {
+        const variables = await this.getTemplateVariables(thread, messages, threadCreated);
+        const originalPost = messages[0];
+        const replies = messages.slice(1);
+
+        variables.originalPost = originalPost ? await this.formatMessageForCard(originalPost, true, variables) : '';
+
+        const formatted = new Map(); // messageId -> formatted card text
+        for (const message of replies) {
+            formatted.set(message.id, await this.formatMessageForCard(message, false, variables));
+        }
+
+        const fullDescription = this.assembleDescription(thread, variables, replies, formatted, 0);
+        if (fullDescription.length <= this.descriptionLimit) {
+            return { description: fullDescription, transcript: null };
+        }
+
+        // Keep the original post plus as many of the most recent replies as fit, the rest goes to the transcript
+        let description = this.assembleDescription(thread, variables, [], formatted, replies.length);
+        for (let count = 1; count <= replies.length; count++) {
+            const candidate = this.assembleDescription(thread, variables, replies.slice(-count), formatted, replies.length - count);
+            if (candidate.length > this.descriptionLimit) break;
+            description = candidate;
+        }
+
+        if (description.length > this.descriptionLimit) {
+            const suffix = this.cardTemplate.render(thread.parentId, 'truncatedSuffix', {
+                ...variables,
+                transcript: this.getTranscriptName(thread)
+            });
+            description = description.slice(0, this.descriptionLimit - suffix.length) + suffix;
+        }
+
+        console.log(`✂️ Card description for thread ${thread.name} exceeds ${this.descriptionLimit} characters, truncated`);
+        return { description, transcript: fullDescription };
+    }
+
+    assembleDescription(thread, variables, replies, formatted, omittedCount) {
+        const render = (name, extra) => this.cardTemplate.render(thread.parentId, name, { ...variables, ...extra });
+
+        if (replies.length === 0 && omittedCount === 0) {
+            return render('description', { replies: render('noReplies') });
+        }
+
+        const truncation = omittedCount > 0
+            ? render('truncation', {
+                omitted: this.localization.plural('card.omitted', omittedCount),
+                omittedCount,
+                transcript: this.getTranscriptName(thread)
+            })
+            : '';
+
+        let days = '';
+        const repliesByDate = this.groupMessagesByDate(replies);
+        for (const [date, dayMessages] of repliesByDate) {
+            days += render('day', { date, messages: dayMessages.map(message => formatted.get(message.id)).join('') });
+        }
+
+        return render('description', { replies: render('replies', { truncation, days }) });
+    }
+
+    getTranscriptName(thread) {
+        return `transcript-${thread.id}.md`;
+    }
+
+    async uploadTranscript(cardId, thread, transcript, existingAttachments) {
+        const transcriptName = this.getTranscriptName(thread);
+
+        try {
+            // Only the latest transcript is kept on the card
+            const oldTranscripts = existingAttachments.filter(att => att.name === transcriptName);
+            for (const attachment of oldTranscripts) {
+                await this.deleteCardAttachment(cardId, attachment.id);
+            }
+
+            const uploaded = await this.trello.uploadAttachment(cardId, {
+                buffer: Buffer.from(transcript, 'utf8'),
+                name: transcriptName,
+                mimeType: 'text/markdown'
+            });
+            this.rememberCardAttachment(cardId, uploaded);
+            console.log(`📜 Uploaded full transcript ${transcriptName} to card ${cardId}`);
+        } catch (error) {
+            console.error(`Failed to upload transcript for thread ${thread.name}:`, error.message);
+        }
+    }
+
     groupMessagesByDate(messages) {
         const grouped = new Map();
         messages.forEach(message => {
-            const date = new Date(message.createdTimestamp).toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
+            const date = this.localization.formatDate(message.createdTimestamp, 'day');
             if (!grouped.has(date)) {
                 grouped.set(date, []);
             }
@@ -483,74 +981,60 @@ class DiscordTrelloBot {
     }
     
 
-    async formatMessageForCard(message, isOriginalPost = false) {
-        const timestamp = new Date(message.createdTimestamp).toLocaleString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit',
-            timeZoneName: 'short'
-        });
+    async formatMessageForCard(message, isOriginalPost = false, threadVariables = {}) {
+        const timestamp = this.localization.formatDate(message.createdTimestamp, 'messageTime');
 
         const author = message.author.username;
         const content = message.content || '';
-        const authorPrefix = isOriginalPost ? '👑 **THREAD CREATOR**' : '💭';
-
-        let formattedMessage = `\n${authorPrefix} **${author}** • *${timestamp}*\n`;
+        const identity = this.memberIdentities.get(message.author.id);
+        const forumChannelId = message.channel?.parentId;
+        const variables = {
+            ...threadVariables,
+            author,
+            trelloUser: identity ? `@${identity.username}` : '',
+            authorLine: identity ? `**${author}** (@${identity.username})` : `**${author}**`,
+            timestamp
+        };
+        const render = (name, extra) => this.cardTemplate.render(forumChannelId, name, { ...variables, ...extra });
 
         const isJustUrl = this.isJustMediaUrl(content);
         const hasTextContent = content.trim().length > 0 && !isJustUrl;
         const hasAttachments = message.attachments.size > 0;
         const hasEmbeds = message.embeds.length > 0;
 
+        let body = '';
         if ((!hasTextContent && (hasAttachments || hasEmbeds)) || isJustUrl) {
             if (isJustUrl) {
-                const mediaType = this.getMediaTypeFromUrl(content.trim());
-                formattedMessage += `*${author} only attached ${mediaType}*\n`;
-                formattedMessage += `🔗 ${content.trim()}\n`;
+                body = render('attachmentOnly', { mediaType: this.getMediaTypeFromUrl(content.trim()), url: content.trim() });
             } else if (hasAttachments) {
-                const attachmentTypes = this.categorizeAttachments(message.attachments);
-                formattedMessage += `*${author} only attached ${attachmentTypes}*\n`;
-                const firstAttachment = message.attachments.first();
-                formattedMessage += `🔗 ${firstAttachment.url}\n`;
+                body = render('attachmentOnly', {
+                    mediaType: this.categorizeAttachments(message.attachments),
+                    url: message.attachments.first().url
+                });
             } else if (hasEmbeds) {
-                const embedType = this.getEmbedType(message.embeds[0]);
-                formattedMessage += `*${author} only attached ${embedType}*\n`;
-                if (message.embeds[0].url) {
-                    formattedMessage += `🔗 ${message.embeds[0].url}\n`;
-                }
+                body = render('attachmentOnly', { mediaType: this.getEmbedType(message.embeds[0]), url: message.embeds[0].url || '' });
             }
-
-            formattedMessage += '\n---\n';
-            return formattedMessage;
-        }
-
-        if (hasTextContent) {
-            if (isOriginalPost) {
-                formattedMessage += `**📝 ORIGINAL THREAD CONTENT:**\n`;
-            }
-
-            const formattedContent = this.formatDiscordMarkdown(content);
-            formattedMessage += `${formattedContent}\n`;
-
+        } else if (hasTextContent) {
+            let extras = '';
             if (message.embeds.length > 0) {
                 const embedInfo = this.processEmbeds(message.embeds, true);
                 if (embedInfo.trim()) {
-                    formattedMessage += embedInfo;
+                    extras += embedInfo;
                 }
             }
 
             if (message.attachments.size > 0) {
                 const attachmentInfo = this.processAttachments(message.attachments, true);
                 if (attachmentInfo) {
-                    formattedMessage += attachmentInfo;
+                    extras += attachmentInfo;
                 }
             }
+
+            const formattedContent = this.markdown.convert(content, this.markdown.buildContext(message));
+            body = render(isOriginalPost ? 'originalMessageText' : 'messageText', { content: formattedContent, extras });
         }
 
-        formattedMessage += '\n---\n';
-        return formattedMessage;
+        return render(isOriginalPost ? 'originalMessage' : 'message', { body });
     }
 
     isJustMediaUrl(content) {
@@ -572,17 +1056,17 @@ class DiscordTrelloBot {
     getMediaTypeFromUrl(url) {
         const lowerUrl = url.toLowerCase();
         if (lowerUrl.includes('.gif') || lowerUrl.includes('gif')) {
-            return 'a GIF';
+            return this.describeMedia('gif', 1);
         } else if (lowerUrl.includes('tenor.com/view/')) {
-            return 'a GIF';
+            return this.describeMedia('gif', 1);
         } else if (lowerUrl.match(/\.(png|jpg|jpeg|webp)(\?|$)/)) {
-            return 'an Image';
+            return this.describeMedia('image', 1);
         } else if (lowerUrl.match(/\.(mp4|mov|avi|webm|mkv)(\?|$)/)) {
-            return 'a Video';
+            return this.describeMedia('video', 1);
         } else if (lowerUrl.match(/\.(mp3|wav|ogg|flac|m4a)(\?|$)/)) {
-            return 'an Audio File';
+            return this.describeMedia('audio', 1);
         } else {
-            return 'a File';
+            return this.describeMedia('file', 1);
         }
     }
 
@@ -613,40 +1097,28 @@ class DiscordTrelloBot {
         });
 
         const parts = [];
-        if (types.gifs > 0) parts.push(types.gifs === 1 ? 'a GIF' : `${types.gifs} GIFs`);
-        if (types.images > 0) parts.push(types.images === 1 ? 'an Image' : `${types.images} Images`);
-        if (types.videos > 0) parts.push(types.videos === 1 ? 'a Video' : `${types.videos} Videos`);
-        if (types.audio > 0) parts.push(types.audio === 1 ? 'an Audio File' : `${types.audio} Audio Files`);
-        if (types.files > 0) parts.push(types.files === 1 ? 'a File' : `${types.files} Files`);
-
-        if (parts.length === 0) return 'an Attachment';
-        if (parts.length === 1) return parts[0];
-        if (parts.length === 2) return `${parts[0]} and ${parts[1]}`;
+        if (types.gifs > 0) parts.push(this.describeMedia('gif', types.gifs));
+        if (types.images > 0) parts.push(this.describeMedia('image', types.images));
+        if (types.videos > 0) parts.push(this.describeMedia('video', types.videos));
+        if (types.audio > 0) parts.push(this.describeMedia('audio', types.audio));
+        if (types.files > 0) parts.push(this.describeMedia('file', types.files));
+
+        if (parts.length === 0) return this.localization.t('media.attachment');
+        return this.localization.list(parts);
+    }
 
-        const lastPart = parts.pop();
-        return `${parts.join(', ')}, and ${lastPart}`;
+    describeMedia(type, count) {
+        return this.localization.plural(`media.${type}`, count);
     }
 
     getEmbedType(embed) {
-        if (embed.type === 'image') return 'an Image';
-        if (embed.type === 'gifv') return 'a GIF';
-        if (embed.type === 'video') return 'a Video';
-        if (embed.type === 'rich' && embed.image) return 'an Image';
-        if (embed.type === 'rich' && embed.video) return 'a Video';
-        if (embed.url) return 'a Link';
-        return 'an Embed';
-    }
-
-    formatDiscordMarkdown(content) {
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '**$1**')
-            .replace(/\*(.*?)\*/g, '*$1*')
-            .replace(/__(.*?)__/g, '__$1__')
-            .replace(/~~(.*?)~~/g, '~~$1~~')
-            .replace(/`(.*?)`/g, '`$1`')
-            .replace(/``````/g, '\n``````\n')
-            .replace(/> (.*)/g, '> $1')
-            .replace(/\|\|(.*?)\|\|/g, '[SPOILER: $1]');
+        if (embed.type === 'image') return this.describeMedia('image', 1);
+        if (embed.type === 'gifv') return this.describeMedia('gif', 1);
+        if (embed.type === 'video') return this.describeMedia('video', 1);
+        if (embed.type === 'rich' && embed.image) return this.describeMedia('image', 1);
+        if (embed.type === 'rich' && embed.video) return this.describeMedia('video', 1);
+        if (embed.url) return this.localization.t('media.link');
+        return this.localization.t('media.embed');
     }
 
     processEmbeds(embeds, showEmbeds = true) {
@@ -679,26 +1151,168 @@ class DiscordTrelloBot {
         return attachmentInfo;
     }
 
-    async findExistingCard(threadName, threadCreator) {
+    getThreadUrl(thread) {
+        return `https://discord.com/channels/${thread.guildId}/${thread.id}`;
+    }
+
+    // Cards carry a "Discord Thread" back-link attachment as their stable identity
+    getLinkedThreadId(card) {
+        const attachments = card.attachments || [];
+        for (const attachment of attachments) {
+            if (attachment.name !== THREAD_LINK_NAME || !attachment.url) continue;
+            const match = attachment.url.match(THREAD_LINK_REGEX);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    async tagCardWithThread(cardId, thread) {
+        try {
+            await this.addCardAttachment(cardId, {
+                url: this.getThreadUrl(thread),
+                name: THREAD_LINK_NAME
+            });
+            console.log(`🔖 Tagged card ${cardId} with Discord thread ${thread.id}`);
+        } catch (error) {
+            console.error(`Failed to tag card ${cardId} with thread ${thread.id}:`, error.message);
+        }
+    }
+
+    async untagCard(cardId, thread) {
+        try {
+            const attachments = await this.trello.searchAttachments(cardId);
+            const threadLinks = attachments.filter(attachment => {
+                const match = attachment.name === THREAD_LINK_NAME && attachment.url && attachment.url.match(THREAD_LINK_REGEX);
+                return match && match[1] === thread.id;
+            });
+
+            for (const attachment of threadLinks) {
+                await this.deleteCardAttachment(cardId, attachment.id);
+            }
+            console.log(`🔖 Removed Discord thread ${thread.id} link from card ${cardId}`);
+        } catch (error) {
+            console.error(`Failed to remove thread ${thread.id} link from card ${cardId}:`, error.message);
+        }
+    }
+
+    findLegacyCard(cards, thread, threadCreator) {
+        // An unlinked card still mentions the thread, it must not be picked up again
+        if (this.mappingStore.isUnlinked(thread.id)) return null;
+
+        const legacyName = `[Discord] ${thread.name} - by ${threadCreator}`;
+        const untaggedCards = cards.filter(card => !this.getLinkedThreadId(card));
+
+        // The thread ID has always been written into the card description, so prefer it over the title
+        return untaggedCards.find(card => card.desc && card.desc.includes(`\`${thread.id}\``)) ||
+            untaggedCards.find(card => card.name === legacyName) ||
+            null;
+    }
+
+    async fetchBoardCards(boardIds) {
+        const cards = [];
+        for (const boardId of boardIds) {
+            cards.push(...await this.trello.getBoardCards(boardId, { attachments: true }));
+        }
+        return cards;
+    }
+
+    async findExistingCard(thread, threadCreator) {
         try {
-            const cards = await this.trello.board.searchCards(process.env.TRELLO_BOARD_ID);
-            const cardName = `[Discord] ${threadName} - by ${threadCreator}`;
-            const existingCard = cards.find(card => card.name === cardName);
-            return existingCard ? existingCard.id : null;
+            const cards = await this.fetchBoardCards(this.routing.getForumBoardIds(thread.parentId));
+            const taggedCard = cards.find(card => this.getLinkedThreadId(card) === thread.id);
+            if (taggedCard) {
+                return taggedCard;
+            }
+
+            const legacyCard = this.findLegacyCard(cards, thread, threadCreator);
+            if (legacyCard) {
+                console.log(`Matched legacy card ${legacyCard.id} for thread ${thread.name}, re-tagging it`);
+                await this.tagCardWithThread(legacyCard.id, thread);
+                return legacyCard;
+            }
+
+            return null;
         } catch (error) {
             console.error('Error searching for existing card:', error);
             return null;
         }
     }
 
+    async migrateCardIdentities(threads, boardIds) {
+        try {
+            const cards = await this.fetchBoardCards(boardIds);
+            const taggedCards = new Map(); // threadId -> card
+            cards.forEach(card => {
+                const threadId = this.getLinkedThreadId(card);
+                if (threadId) {
+                    taggedCards.set(threadId, card);
+                }
+            });
+
+            let migrated = 0;
+            for (const thread of threads.values()) {
+                const taggedCard = taggedCards.get(thread.id);
+                if (taggedCard) {
+                    if (this.findCardByThreadId(thread.id) !== taggedCard.id) {
+                        this.linkThreadToCard(thread.id, taggedCard.id, {
+                            boardId: taggedCard.idBoard,
+                            listId: taggedCard.idList,
+                            origin: thread.ownerId === this.client.user?.id ? 'trello' : 'discord'
+                        });
+                    }
+                    continue;
+                }
+
+                const storedCardId = this.findCardByThreadId(thread.id);
+                let legacyCard = storedCardId ? cards.find(card => card.id === storedCardId) : null;
+                if (!legacyCard) {
+                    const threadCreator = await this.getThreadCreator(thread);
+                    legacyCard = this.findLegacyCard(cards, thread, threadCreator);
+                }
+
+                if (legacyCard) {
+                    await this.tagCardWithThread(legacyCard.id, thread);
+                    legacyCard.attachments = [
+                        ...(legacyCard.attachments || []),
+                        { name: THREAD_LINK_NAME, url: this.getThreadUrl(thread) }
+                    ];
+                    if (storedCardId !== legacyCard.id) {
+                        this.linkThreadToCard(thread.id, legacyCard.id, {
+                            boardId: legacyCard.idBoard,
+                            listId: legacyCard.idList
+                        });
+                    }
+                    migrated++;
+                }
+            }
+
+            console.log(`🔖 Card identity migration finished: ${migrated} legacy cards re-tagged`);
+        } catch (error) {
+            console.error('Error migrating card identities:', error);
+        }
+    }
+
     start() {
         this.client.login(process.env.DISCORD_TOKEN);
     }
 
-    stop() {
+    async stop() {
         if (this.trelloPoller) {
-            this.trelloPoller.stop();
+            await this.trelloPoller.stop();
         }
+        if (this.webhookServer) {
+            this.webhookServer.stop();
+        }
+
+        // Give debounced syncs a chance to reach Trello before exiting
+        await Promise.race([
+            this.syncQueue.flush(),
+            new Promise(resolve => setTimeout(resolve, 10000))
+        ]);
+
+        this.mappingStore.save();
+        this.memberIdentities.save();
+        this.subscriptions.save();
         this.client.destroy();
     }
 }
@@ -707,8 +1321,11 @@ const bot = new DiscordTrelloBot();
 bot.start();
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+const shutdown = async () => {
     console.log('Shutting down gracefully...');
-    bot.stop();
+    await bot.stop();
     process.exit(0);
-});
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
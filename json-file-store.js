@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Debounced persistence of one JSON file in DATA_DIR. The owning store keeps its data in memory and
+// hands over a plain object to write whenever a save is due.
+class JsonFileStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.name = options.name || 'store'; // used in error messages
+        this.serialize = options.serialize; // () => object written next to the version
+        this.saveDelayMs = options.saveDelayMs || 1000;
+        this.saveTimeout = null;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    // Parse errors are left to the caller, which knows what starting empty means for its data
+    read() {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.saveDelayMs);
+    }
+
+    save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            const data = {
+                version: 1,
+                ...this.serialize()
+            };
+
+            // Write to a temp file first so a crash mid-write never truncates the store
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`Error saving ${this.name} ${this.filePath}:`, error);
+        }
+    }
+}
+
+module.exports = JsonFileStore;
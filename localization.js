@@ -0,0 +1,190 @@
+const fs = require('fs');
+const { renderTemplate } = require('./template-renderer');
+
+// Dates on cards and in notifications use one of these styles, in LOCALE and TIME_ZONE
+const DATE_STYLES = {
+    date: { year: 'numeric', month: 'numeric', day: 'numeric' },
+    day: { year: 'numeric', month: 'long', day: 'numeric' },
+    dateTime: { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' },
+    messageTime: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' },
+    full: { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit' }
+};
+
+// The matching <t:…> styles, which Discord renders in every reader's own locale and time zone
+const DISCORD_TIMESTAMP_STYLES = { date: 'd', day: 'D', dateTime: 'f', messageTime: 'f', full: 'f' };
+
+// English defaults. Plural strings end in a plural category (one, other, and few or many where a language needs them).
+// Notification events are translated with "notification.<event>.title" and "notification.<event>.description".
+const STRINGS = {
+    'notification.field.from': 'From',
+    'notification.field.to': 'To',
+    'notification.field.board': 'Board',
+    'notification.field.list': 'List',
+    'notification.field.before': 'Before',
+    'notification.field.after': 'After',
+    'notification.field.link': 'Link',
+    'notification.field.new_description': 'New Description',
+    'notification.digest.title.one': '🗂️ {count} change to this card',
+    'notification.digest.title.other': '🗂️ {count} changes to this card',
+    'notification.direct_message': '{emoji} Update on **{thread}**: {url}',
+    'notification.comment_author': '{member} commented on Trello',
+    'value.none': 'None',
+    'value.checked': 'Checked',
+    'value.unchecked': 'Unchecked',
+    'value.unknown_option': 'Unknown option',
+    'unknown.card': 'Unknown Card',
+    'unknown.actor': 'Someone',
+    'unknown.member': 'A team member',
+    'unknown.label': 'Unknown Label',
+    'unknown.checklist': 'Unknown Checklist',
+    'unknown.item': 'Unknown Item',
+    'unknown.list': 'Unknown List',
+    'unknown.board': 'Unknown Board',
+    'unknown.other_board': 'another board',
+    'unknown.attachment': 'An attachment',
+    'unknown.field': 'Custom field',
+    'checklist.progress': '{complete}/{total} done',
+    'card.omitted.one': '{count} earlier reply was',
+    'card.omitted.other': '{count} earlier replies were',
+    'media.gif.one': 'a GIF',
+    'media.gif.other': '{count} GIFs',
+    'media.image.one': 'an Image',
+    'media.image.other': '{count} Images',
+    'media.video.one': 'a Video',
+    'media.video.other': '{count} Videos',
+    'media.audio.one': 'an Audio File',
+    'media.audio.other': '{count} Audio Files',
+    'media.file.one': 'a File',
+    'media.file.other': '{count} Files',
+    'media.attachment': 'an Attachment',
+    'media.link': 'a Link',
+    'media.embed': 'an Embed',
+    'command.not_in_thread': '❌ Use this command inside a synced forum thread.',
+    'command.no_permission': '❌ You need the Manage Threads permission to do that.',
+    'command.not_linked': 'ℹ️ This thread is not linked to a Trello card.',
+    'command.error.not_found': '❌ Trello could not find that card, list or member. It may have been deleted.',
+    'command.error.auth': '❌ Trello rejected the bot\'s credentials or it has no access to that board.',
+    'command.error.other': '❌ Something went wrong: {message}',
+    'command.status.list': 'List',
+    'command.status.status': 'Status',
+    'command.status.archived': 'Archived',
+    'command.status.open': 'Open',
+    'command.status.due': 'Due',
+    'command.status.labels': 'Labels',
+    'command.status.members': 'Members',
+    'command.status.last_synced': 'Last Synced',
+    'command.status.never': 'Never',
+    'command.link.invalid': '❌ That does not look like a Trello card URL or ID.',
+    'command.link.taken': '❌ That card is already linked to {thread}. Unlink it there first.',
+    'command.link.done': '✅ Linked this thread to [{card}]({url}).',
+    'command.unlink.done': '✅ Unlinked this thread. The next message here will create a new card unless you `/trello link` one first.',
+    'command.resync.done': '✅ Card resynced from the full thread history.',
+    'command.move.unknown_list': '❌ No list named **{list}** on this card\'s board.',
+    'command.move.done': '✅ Moved the card to **{list}**.',
+    'command.checklist.empty': '❌ No checklist items given.',
+    'command.checklist.done.one': '✅ Added {count} item to **{checklist}**.',
+    'command.checklist.done.other': '✅ Added {count} items to **{checklist}**.',
+    'command.categories.unknown': '❌ Unknown notification categories: {categories}. Use {available}, all or none.',
+    'command.notifications.current': '🔔 This thread receives **{categories}** Trello notifications. Available categories: {available}.',
+    'command.notifications.muted': '🔕 This thread is muted, Trello notifications will no longer be posted here.',
+    'command.notifications.done': '✅ This thread now receives **{categories}** Trello notifications.',
+    'command.subscribe.done': '🔔 You will get a DM for **{categories}** changes to this card. Make sure DMs from server members are allowed.',
+    'command.unsubscribe.done': '🔕 You will no longer get DMs about this card.',
+    'command.whoami.configured': '❌ Your Trello account was linked by an admin in `TRELLO_MEMBER_MAP` and can only be changed there.',
+    'command.whoami.forgotten': '✅ Your Discord account is no longer linked to Trello.',
+    'command.whoami.was_not_linked': 'ℹ️ Your Discord account was not linked to Trello.',
+    'command.whoami.taken': '❌ Trello member @{username} is already linked to another Discord user.',
+    'command.whoami.verify': '🪪 To prove @{username} is yours, add `{code}` to your Trello bio (Profile and visibility), then run this command again within {minutes} minutes.',
+    'command.whoami.code_missing': '❌ `{code}` was not found in the bio of @{username} yet. Save it in your Trello profile and try again.',
+    'command.whoami.linked': '✅ Linked your Discord account to Trello member **{fullName}** (@{username}). You can remove the code from your bio now.',
+    'command.whoami.current': '🪪 Your Discord account is linked to Trello member **{fullName}** (@{username}).',
+    'command.whoami.not_linked': 'ℹ️ Your Discord account is not linked to Trello. Use `/trello whoami trello-user:<username>` to link it.'
+};
+
+class Localization {
+    constructor(options = {}) {
+        this.locale = this.resolveLocale(options.locale);
+        this.timeZone = this.resolveTimeZone(options.timeZone); // undefined means the server's time zone
+        this.discordTimestamps = Boolean(options.discordTimestamps);
+        this.strings = this.loadStrings(options.stringsPath);
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.listFormat = new Intl.ListFormat(this.locale, { type: 'conjunction' });
+    }
+
+    resolveLocale(locale) {
+        try {
+            return Intl.getCanonicalLocales(locale || 'en-US')[0];
+        } catch (error) {
+            console.log(`⚠️ Invalid LOCALE "${locale}", using en-US`);
+            return 'en-US';
+        }
+    }
+
+    resolveTimeZone(timeZone) {
+        if (!timeZone) return undefined;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return timeZone;
+        } catch (error) {
+            console.log(`⚠️ Unknown TIME_ZONE "${timeZone}", using the server's time zone`);
+            return undefined;
+        }
+    }
+
+    // A JSON object of "key": "text" pairs replacing the English defaults
+    loadStrings(filePath) {
+        if (!filePath) return {};
+
+        try {
+            const strings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (typeof strings !== 'object' || Array.isArray(strings)) {
+                throw new Error('expected a JSON object of "key": "text" pairs');
+            }
+
+            console.log(`🌐 Loaded ${Object.keys(strings).length} translated strings from ${filePath}`);
+            return strings;
+        } catch (error) {
+            console.error(`Error loading translated strings ${filePath}, using English:`, error.message);
+            return {};
+        }
+    }
+
+    text(key, fallback) {
+        if (this.strings[key] !== undefined) return this.strings[key];
+        if (STRINGS[key] !== undefined) return STRINGS[key];
+        return fallback !== undefined ? fallback : key;
+    }
+
+    t(key, variables = {}, fallback) {
+        return renderTemplate(this.text(key, fallback), variables);
+    }
+
+    plural(key, count, variables = {}) {
+        const category = this.pluralRules.select(count);
+        const specific = `${key}.${category}`;
+        const chosen = this.strings[specific] !== undefined || STRINGS[specific] !== undefined ? specific : `${key}.other`;
+        return this.t(chosen, { ...variables, count });
+    }
+
+    list(items) {
+        return this.listFormat.format(items);
+    }
+
+    formatDate(value, style = 'dateTime') {
+        return new Date(value).toLocaleString(this.locale, {
+            ...(DATE_STYLES[style] || DATE_STYLES.dateTime),
+            timeZone: this.timeZone
+        });
+    }
+
+    // Embeds can show <t:…> timestamps instead, with EMBED_DISCORD_TIMESTAMPS
+    formatEmbedDate(value, style = 'dateTime') {
+        if (!this.discordTimestamps) return this.formatDate(value, style);
+
+        const seconds = Math.floor(new Date(value).getTime() / 1000);
+        return `<t:${seconds}:${DISCORD_TIMESTAMP_STYLES[style] || 'f'}>`;
+    }
+}
+
+module.exports = Localization;
@@ -0,0 +1,169 @@
+const JsonFileStore = require('./json-file-store');
+
+class MappingStore {
+    constructor(filePath, saveDelayMs = 1000) {
+        this.file = new JsonFileStore(filePath, { name: 'mapping store', saveDelayMs, serialize: () => this.serialize() });
+        this.threads = new Map(); // threadId -> { threadId, cardId, boardId, listId, lastSyncedAt, attachments }
+        this.cards = new Map(); // cardId -> threadId (reverse index)
+        this.unlinked = new Set(); // threads unlinked on purpose, never matched to a legacy card again
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!this.file.exists()) {
+                console.log(`🗺️ No mapping store found at ${this.file.filePath}, starting empty`);
+                return;
+            }
+
+            const data = this.file.read();
+            const records = Array.isArray(data.mappings) ? data.mappings : [];
+
+            for (const record of records) {
+                if (!record.threadId || !record.cardId) continue;
+                this.threads.set(record.threadId, record);
+                this.cards.set(record.cardId, record.threadId);
+            }
+
+            (Array.isArray(data.unlinked) ? data.unlinked : []).forEach(threadId => this.unlinked.add(threadId));
+
+            console.log(`🗺️ Loaded ${this.threads.size} thread↔card mappings from ${this.file.filePath}`);
+        } catch (error) {
+            console.error(`Error loading mapping store ${this.file.filePath}:`, error);
+        }
+    }
+
+    get(threadId) {
+        return this.threads.get(threadId) || null;
+    }
+
+    getCardId(threadId) {
+        const record = this.threads.get(threadId);
+        return record ? record.cardId : null;
+    }
+
+    getThreadId(cardId) {
+        return this.cards.get(cardId) || null;
+    }
+
+    getByCardId(cardId) {
+        const threadId = this.cards.get(cardId);
+        return threadId ? this.get(threadId) : null;
+    }
+
+    has(threadId) {
+        return this.threads.has(threadId);
+    }
+
+    entries() {
+        return Array.from(this.threads.values());
+    }
+
+    set(threadId, fields) {
+        const existing = this.threads.get(threadId);
+
+        const relinked = existing && fields.cardId && existing.cardId !== fields.cardId;
+
+        // Drop the stale reverse entry when a thread is relinked to another card
+        if (relinked) {
+            this.cards.delete(existing.cardId);
+        }
+
+        const record = {
+            ...(existing || {}),
+            ...fields,
+            threadId
+        };
+
+        // Uploaded attachments belong to the old card, the new one gets its own legacy attachment pass
+        if (relinked && !fields.attachments) {
+            delete record.attachments;
+        }
+        if (relinked && !fields.attachmentsMigrated) {
+            delete record.attachmentsMigrated;
+        }
+
+        this.threads.set(threadId, record);
+        this.cards.set(record.cardId, threadId);
+        this.unlinked.delete(threadId);
+        this.scheduleSave();
+        return record;
+    }
+
+    updateByCardId(cardId, fields) {
+        const threadId = this.cards.get(cardId);
+        if (!threadId) return null;
+        return this.set(threadId, fields);
+    }
+
+    touch(threadId) {
+        if (!this.threads.has(threadId)) return null;
+        return this.set(threadId, { lastSyncedAt: new Date().toISOString() });
+    }
+
+    getAttachmentId(threadId, discordAttachmentId) {
+        const record = this.threads.get(threadId);
+        return record && record.attachments ? record.attachments[discordAttachmentId] || null : null;
+    }
+
+    setAttachmentId(threadId, discordAttachmentId, trelloAttachmentId) {
+        const record = this.threads.get(threadId);
+        if (!record) return null;
+        return this.set(threadId, {
+            attachments: { ...(record.attachments || {}), [discordAttachmentId]: trelloAttachmentId }
+        });
+    }
+
+    deleteAttachmentId(threadId, discordAttachmentId) {
+        const record = this.threads.get(threadId);
+        if (!record || !record.attachments || !record.attachments[discordAttachmentId]) return false;
+
+        const attachments = { ...record.attachments };
+        delete attachments[discordAttachmentId];
+        this.set(threadId, { attachments });
+        return true;
+    }
+
+    delete(threadId) {
+        const record = this.threads.get(threadId);
+        if (!record) return false;
+
+        this.threads.delete(threadId);
+        this.cards.delete(record.cardId);
+        this.scheduleSave();
+        return true;
+    }
+
+    markUnlinked(threadId) {
+        this.delete(threadId);
+        this.unlinked.add(threadId);
+        this.scheduleSave();
+    }
+
+    isUnlinked(threadId) {
+        return this.unlinked.has(threadId);
+    }
+
+    deleteByCardId(cardId) {
+        const threadId = this.cards.get(cardId);
+        return threadId ? this.delete(threadId) : false;
+    }
+
+    serialize() {
+        return {
+            mappings: this.entries(),
+            unlinked: Array.from(this.unlinked)
+        };
+    }
+
+    scheduleSave() {
+        this.file.scheduleSave();
+    }
+
+    save() {
+        this.file.save();
+    }
+}
+
+module.exports = MappingStore;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./json-file-store');
+
+const VERIFICATION_TTL_MS = 30 * 60 * 1000;
+
+class MemberIdentityStore {
+    constructor(filePath, trelloHelper, rawConfiguredMap = null, saveDelayMs = 1000) {
+        this.file = new JsonFileStore(filePath, { name: 'member links', saveDelayMs, serialize: () => this.serialize() });
+        this.trelloHelper = trelloHelper;
+        this.configuredMap = this.parseConfiguredMap(rawConfiguredMap); // Discord user ID -> Trello username or member ID
+        this.links = new Map(); // Discord user ID -> { trelloMemberId, username, fullName, linkedAt }, self-linked
+        this.configured = new Map(); // same shape, resolved from configuredMap; these win over self-links
+        this.verifications = new Map(); // Discord user ID -> { trelloMemberId, code, expiresAt }, pending self-links
+
+        this.load();
+    }
+
+    parseConfiguredMap(raw) {
+        if (!raw) return {};
+
+        try {
+            const mapping = JSON.parse(raw);
+            if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+                throw new Error('expected a JSON object of "discordUserId": "trelloUsername" pairs');
+            }
+            return mapping;
+        } catch (error) {
+            console.error('🪪 Invalid TRELLO_MEMBER_MAP, only self-linked members are used:', error.message);
+            return {};
+        }
+    }
+
+    load() {
+        try {
+            if (!this.file.exists()) {
+                console.log(`🪪 No member links found at ${this.file.filePath}, starting empty`);
+                return;
+            }
+
+            const data = this.file.read();
+            Object.entries(data.members || {}).forEach(([discordUserId, record]) => {
+                if (record && record.trelloMemberId) {
+                    this.links.set(discordUserId, record);
+                }
+            });
+
+            console.log(`🪪 Loaded ${this.links.size} Discord↔Trello member links`);
+        } catch (error) {
+            console.error(`Error loading member links ${this.file.filePath}:`, error);
+        }
+    }
+
+    // Configured entries name Trello members by username, which has to be looked up once
+    async resolveConfigured() {
+        for (const [discordUserId, reference] of Object.entries(this.configuredMap)) {
+            try {
+                const member = await this.trelloHelper.getMember(reference);
+                this.configured.set(discordUserId, this.toRecord(member));
+            } catch (error) {
+                console.log(`⚠️ Skipping TRELLO_MEMBER_MAP entry ${discordUserId} -> ${reference}: ${error.message}`);
+            }
+        }
+
+        if (this.configured.size > 0) {
+            console.log(`🪪 Resolved ${this.configured.size} configured Discord↔Trello member links`);
+        }
+    }
+
+    toRecord(member) {
+        return {
+            trelloMemberId: member.id,
+            username: member.username,
+            fullName: member.fullName || member.username,
+            linkedAt: new Date().toISOString()
+        };
+    }
+
+    isConfigured(discordUserId) {
+        return Object.prototype.hasOwnProperty.call(this.configuredMap, discordUserId);
+    }
+
+    get(discordUserId) {
+        if (!discordUserId) return null;
+        return this.configured.get(discordUserId) || this.links.get(discordUserId) || null;
+    }
+
+    getDiscordUserId(trelloMemberId) {
+        if (!trelloMemberId) return null;
+
+        for (const source of [this.configured, this.links]) {
+            for (const [discordUserId, record] of source) {
+                if (record.trelloMemberId === trelloMemberId) return discordUserId;
+            }
+        }
+        return null;
+    }
+
+    // Self-links need proof: the code has to show up in the Trello member's bio before link() is called
+    startVerification(discordUserId, trelloMemberId) {
+        const verification = {
+            trelloMemberId,
+            code: `discord-link-${crypto.randomBytes(4).toString('hex')}`,
+            expiresAt: Date.now() + VERIFICATION_TTL_MS
+        };
+        this.verifications.set(discordUserId, verification);
+        return verification;
+    }
+
+    getVerification(discordUserId, trelloMemberId) {
+        const verification = this.verifications.get(discordUserId);
+        if (!verification || verification.trelloMemberId !== trelloMemberId) return null;
+        if (verification.expiresAt < Date.now()) {
+            this.verifications.delete(discordUserId);
+            return null;
+        }
+        return verification;
+    }
+
+    link(discordUserId, member) {
+        // A Trello member belongs to one Discord user, claims on a linked member are refused
+        const owner = this.getDiscordUserId(member.id);
+        if (owner && owner !== discordUserId) {
+            throw new Error(`Trello member ${member.username} is already linked to another Discord user`);
+        }
+
+        this.verifications.delete(discordUserId);
+        const record = this.toRecord(member);
+        this.links.set(discordUserId, record);
+        this.scheduleSave();
+        return record;
+    }
+
+    unlink(discordUserId) {
+        const removed = this.links.delete(discordUserId);
+        if (removed) {
+            this.scheduleSave();
+        }
+        return removed;
+    }
+
+    serialize() {
+        return { members: Object.fromEntries(this.links) };
+    }
+
+    scheduleSave() {
+        this.file.scheduleSave();
+    }
+
+    save() {
+        this.file.save();
+    }
+}
+
+module.exports = MemberIdentityStore;
@@ -0,0 +1,71 @@
+const MAX_FLUSH_ATTEMPTS = 3;
+
+// Collects notifications per card and hands them over in one batch once the card's window closes.
+// The window starts with the first buffered notification, so a long burst still flushes on time.
+class NotificationDigest {
+    constructor(windowMs, flushHandler) {
+        this.windowMs = windowMs;
+        this.flushHandler = flushHandler; // async (thread, cardId, entries)
+        this.pending = new Map(); // cardId -> { thread, entries, timer }
+        this.actionIds = new Set();
+    }
+
+    isEnabled() {
+        return this.windowMs > 0;
+    }
+
+    has(actionId) {
+        return this.actionIds.has(actionId);
+    }
+
+    // entry: { action, embed, mentionedUserId }
+    add(thread, cardId, entry) {
+        const batch = this.getBatch(thread, cardId);
+        batch.entries.push(entry);
+        this.actionIds.add(entry.action.id);
+    }
+
+    getBatch(thread, cardId) {
+        let batch = this.pending.get(cardId);
+        if (!batch) {
+            batch = { thread, entries: [], timer: null, attempts: 0 };
+            batch.timer = setTimeout(() => this.flush(cardId), this.windowMs);
+            this.pending.set(cardId, batch);
+        }
+
+        batch.thread = thread;
+        return batch;
+    }
+
+    async flush(cardId) {
+        const batch = this.pending.get(cardId);
+        if (!batch) return;
+
+        clearTimeout(batch.timer);
+        this.pending.delete(cardId);
+
+        try {
+            await this.flushHandler(batch.thread, cardId, batch.entries);
+            batch.entries.forEach(entry => this.actionIds.delete(entry.action.id));
+        } catch (error) {
+            // The poller has already moved past these actions, so a failed batch is queued again instead of dropped
+            const attempts = batch.attempts + 1;
+            if (attempts >= MAX_FLUSH_ATTEMPTS) {
+                console.error(`Error sending notification digest for card ${cardId}, giving up after ${attempts} attempts:`, error);
+                batch.entries.forEach(entry => this.actionIds.delete(entry.action.id));
+                return;
+            }
+
+            console.warn(`⚠️ Error sending notification digest for card ${cardId}, retrying:`, error.message);
+            const retry = this.getBatch(batch.thread, cardId);
+            retry.entries.unshift(...batch.entries);
+            retry.attempts = Math.max(retry.attempts, attempts);
+        }
+    }
+
+    async flushAll() {
+        await Promise.all(Array.from(this.pending.keys()).map(cardId => this.flush(cardId)));
+    }
+}
+
+module.exports = NotificationDigest;
@@ -0,0 +1,366 @@
+const { renderTemplate } = require('./template-renderer');
+
+// Every notification is an event with a category (used for digests), the setting that enables it,
+// and a default title and description template. NOTIFICATION_TEMPLATES can override title, description and color per event.
+const EVENTS = {
+    label_added: { category: 'labels', setting: 'NOTIFY_LABEL_CHANGES', color: 0x61BD4F, title: '🏷️ Label Added', description: 'Label **{label}** was added to the card' },
+    label_removed: { category: 'labels', setting: 'NOTIFY_LABEL_CHANGES', color: 0xEB5A46, title: '🏷️ Label Removed', description: 'Label **{label}** was removed from the card' },
+    checklist_added: { category: 'checklists', setting: 'NOTIFY_CHECKLIST_CHANGES', color: 0x0079BF, title: '📋 Checklist Added', description: 'Checklist **{checklist}** was added to the card' },
+    checklist_removed: { category: 'checklists', setting: 'NOTIFY_CHECKLIST_CHANGES', color: 0xEB5A46, title: '📋 Checklist Removed', description: 'Checklist **{checklist}** was removed from the card' },
+    check_item_added: { category: 'checklists', setting: 'NOTIFY_CHECKLIST_CHANGES', color: 0x0079BF, title: '📋 Checklist Item Added', description: 'Item **{item}** was added to **{checklist}**' },
+    check_item_completed: { category: 'checklists', setting: 'NOTIFY_CHECKLIST_CHANGES', color: 0x61BD4F, title: '✅ Checklist Item Completed', description: 'Checklist item **{item}** was completed' },
+    check_item_incomplete: { category: 'checklists', setting: 'NOTIFY_CHECKLIST_CHANGES', color: 0xF2D600, title: '⬜ Checklist Item Updated', description: 'Checklist item **{item}** was marked incomplete' },
+    member_added: { category: 'members', setting: 'NOTIFY_MEMBER_CHANGES', color: 0x9F19CC, title: '👤 Member Assigned', description: '{member} was assigned to this card' },
+    member_removed: { category: 'members', setting: 'NOTIFY_MEMBER_CHANGES', color: 0xC377E0, title: '👤 Member Unassigned', description: '{member} was unassigned from this card' },
+    due_set: { category: 'due_dates', setting: 'NOTIFY_DUE_DATE_CHANGES', color: 0xF2D600, title: '📅 Due Date Set', description: 'Due date was set to **{due}**' },
+    due_changed: { category: 'due_dates', setting: 'NOTIFY_DUE_DATE_CHANGES', color: 0x0079BF, title: '📅 Due Date Changed', description: 'Due date was updated to **{due}**' },
+    due_removed: { category: 'due_dates', setting: 'NOTIFY_DUE_DATE_CHANGES', color: 0xEB5A46, title: '📅 Due Date Removed', description: 'Due date was removed from the card' },
+    attachment_added: { category: 'attachments', setting: 'NOTIFY_ATTACHMENT_CHANGES', color: 0x61BD4F, title: '📎 Attachment Added', description: '**{attachment}** was attached to the card' },
+    attachment_removed: { category: 'attachments', setting: 'NOTIFY_ATTACHMENT_CHANGES', color: 0xEB5A46, title: '📎 Attachment Removed', description: '**{attachment}** was removed from the card' },
+    custom_field_changed: { category: 'custom_fields', setting: 'NOTIFY_CUSTOM_FIELD_CHANGES', color: 0x0079BF, title: '🔧 {field} Updated', description: '**{field}** was changed to **{value}**' },
+    description_changed: { category: 'card_changes', setting: 'NOTIFY_DESCRIPTION_CHANGES', color: 0x0079BF, title: '📝 Description Updated', description: 'The card description was changed' },
+    card_archived: { category: 'card_changes', setting: 'NOTIFY_ARCHIVE_CHANGES', color: 0x838C91, title: '📦 Card Archived', description: 'The card was archived' },
+    card_restored: { category: 'card_changes', setting: 'NOTIFY_ARCHIVE_CHANGES', color: 0x61BD4F, title: '📤 Card Restored', description: 'The card was restored from the archive' },
+    card_renamed: { category: 'card_changes', color: 0x0079BF, title: '✏️ Card Renamed', description: 'Card was renamed from **{oldName}** to **{card}**' },
+    card_moved: { category: 'card_changes', color: 0x9F19CC, title: '🔄 Card Moved', description: 'Card was moved from **{from}** to **{to}**' },
+    card_moved_board: { category: 'card_changes', color: 0x9F19CC, title: '🔄 Card Moved', description: 'Card was moved to **{to}**' }
+};
+
+// The bot writes card descriptions and attachments itself on every sync, those must not echo back
+const QUIET_WHEN_BY_BOT = new Set(['description_changed', 'attachment_added', 'attachment_removed']);
+const DESCRIPTION_PREVIEW_LENGTH = 300;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+
+class NotificationFormatter {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+        this.emoji = process.env.NOTIFICATION_EMOJI || '🔔';
+        this.templates = this.parseTemplates(process.env.NOTIFICATION_TEMPLATES);
+        this.customFields = new Map(); // boardId -> custom field definitions
+    }
+
+    parseTemplates(raw) {
+        if (!raw) return {};
+
+        try {
+            const templates = JSON.parse(raw);
+            if (typeof templates !== 'object' || Array.isArray(templates)) {
+                throw new Error('expected a JSON object of "event": { "title", "description" } entries');
+            }
+
+            Object.keys(templates).forEach(event => {
+                if (!EVENTS[event]) {
+                    console.log(`⚠️ Unknown notification template event "${event}", expected one of ${Object.keys(EVENTS).join(', ')}`);
+                }
+            });
+            return templates;
+        } catch (error) {
+            console.error('📢 Invalid NOTIFICATION_TEMPLATES, using the default templates:', error.message);
+            return {};
+        }
+    }
+
+    static getCategories() {
+        return [...new Set(Object.values(EVENTS).map(event => event.category))];
+    }
+
+    getCategory(action) {
+        const event = this.getEvent(action);
+        return event ? EVENTS[event].category : null;
+    }
+
+    getEvent(action) {
+        const data = action.data || {};
+
+        switch (action.type) {
+            case 'addLabelToCard': return 'label_added';
+            case 'removeLabelFromCard': return 'label_removed';
+            case 'addChecklistToCard': return 'checklist_added';
+            case 'removeChecklistFromCard': return 'checklist_removed';
+            case 'createCheckItem': return 'check_item_added';
+            case 'updateCheckItemStateOnCard':
+                return data.checkItem?.state === 'complete' ? 'check_item_completed' : 'check_item_incomplete';
+            case 'addMemberToCard': return 'member_added';
+            case 'removeMemberFromCard': return 'member_removed';
+            case 'addAttachmentToCard': return 'attachment_added';
+            case 'deleteAttachmentFromCard': return 'attachment_removed';
+            case 'updateCustomFieldItem': return 'custom_field_changed';
+            case 'moveCardToBoard':
+                return 'card_moved_board';
+            case 'moveCardFromBoard':
+                // A watched target board reports the same move as moveCardToBoard, with the list it landed in
+                return this.discordBot.routing.getBoardIds().includes(data.boardTarget?.id) ? null : 'card_moved_board';
+            case 'updateCard':
+                return this.getCardUpdateEvent(data);
+            default:
+                return null;
+        }
+    }
+
+    // An updateCard action normally changes one field; moves win, then renames, archiving, descriptions and due dates
+    getCardUpdateEvent(data) {
+        const old = data.old || {};
+
+        if (data.listBefore && data.listAfter) return 'card_moved';
+        if (old.name !== undefined) return 'card_renamed';
+        if (old.closed !== undefined) return data.card?.closed ? 'card_archived' : 'card_restored';
+        if (old.desc !== undefined) return 'description_changed';
+
+        if (old.due !== undefined || data.card?.due !== undefined) {
+            const oldDue = old.due;
+            const newDue = data.card?.due;
+            if (!oldDue && newDue) return 'due_set';
+            if (oldDue && !newDue) return 'due_removed';
+            if (oldDue && newDue && oldDue !== newDue) return 'due_changed';
+        }
+        return null;
+    }
+
+    isEnabled(event) {
+        const setting = EVENTS[event].setting;
+        return !setting || process.env[setting] === 'true';
+    }
+
+    // details: { checklistProgress, customFieldOptions, byBot }
+    format(action, details = {}) {
+        const event = this.getEvent(action);
+        if (!event || !this.isEnabled(event)) return null;
+        if (details.byBot && QUIET_WHEN_BY_BOT.has(event)) return null;
+
+        // NOTIFICATION_TEMPLATES win over translated strings, which win over the English defaults
+        const localization = this.discordBot.localization;
+        const template = {
+            ...EVENTS[event],
+            title: localization.text(`notification.${event}.title`, EVENTS[event].title),
+            description: localization.text(`notification.${event}.description`, EVENTS[event].description),
+            ...(this.templates[event] || {})
+        };
+        const variables = this.getVariables(action, details);
+
+        const embed = {
+            color: this.parseColor(template.color),
+            author: this.getActionAuthor(action) || undefined,
+            title: renderTemplate(template.title, variables).slice(0, 256),
+            url: this.getCardUrl(action) || undefined,
+            description: renderTemplate(template.description, variables).slice(0, EMBED_DESCRIPTION_LIMIT),
+            fields: this.getFields(event, action, details, variables),
+            footer: this.getFooter(),
+            timestamp: new Date(action.date).toISOString()
+        };
+
+        return embed;
+    }
+
+    parseColor(color) {
+        if (typeof color === 'number') return color;
+        if (typeof color === 'string') {
+            const parsed = parseInt(color.replace(/^#/, ''), 16);
+            if (!isNaN(parsed)) return parsed;
+        }
+        return 0x0079BF;
+    }
+
+    getVariables(action, details) {
+        const data = action.data || {};
+        const old = data.old || {};
+        const t = key => this.discordBot.localization.t(key);
+        // Trello only names the target board of moveCardFromBoard by ID, and the list it lands in not at all
+        const movedAway = action.type === 'moveCardFromBoard';
+        const board = this.getTargetBoardName(action) || t(movedAway ? 'unknown.other_board' : 'unknown.board');
+
+        return {
+            emoji: this.emoji,
+            card: data.card?.name || t('unknown.card'),
+            actor: action.memberCreator?.fullName || action.memberCreator?.username || t('unknown.actor'),
+            member: this.describeMember(action),
+            label: data.label?.name || data.label?.color || t('unknown.label'),
+            checklist: data.checklist?.name || t('unknown.checklist'),
+            item: data.checkItem?.name || t('unknown.item'),
+            from: data.listBefore?.name || t('unknown.list'),
+            to: movedAway ? board : this.getTargetListName(action) || t('unknown.list'),
+            board,
+            oldName: old.name || t('unknown.card'),
+            due: this.formatDate(data.card?.due),
+            oldDue: this.formatDate(old.due),
+            attachment: data.attachment?.name || t('unknown.attachment'),
+            field: data.customField?.name || t('unknown.field'),
+            value: this.formatCustomFieldValue(data.customField, data.customFieldItem, details.customFieldOptions),
+            oldValue: this.formatCustomFieldValue(data.customField, old, details.customFieldOptions),
+            progress: details.checklistProgress ? this.discordBot.checklistSync.formatProgress(details.checklistProgress) : ''
+        };
+    }
+
+    // moveCardFromBoard describes the source, its board and list are where the card came from
+    getTargetBoardName(action) {
+        if (action.type === 'moveCardFromBoard') return action.data?.boardTarget?.name || null;
+        return action.data?.board?.name || null;
+    }
+
+    getTargetListName(action) {
+        if (action.type === 'moveCardFromBoard') return null;
+        return action.data?.listAfter?.name || action.data?.list?.name || null;
+    }
+
+    getFields(event, action, details, variables) {
+        const data = action.data || {};
+        const fields = [];
+        const name = key => this.discordBot.localization.t(`notification.field.${key}`);
+
+        switch (event) {
+            case 'card_moved':
+                fields.push({ name: name('from'), value: variables.from, inline: true });
+                fields.push({ name: name('to'), value: variables.to, inline: true });
+                break;
+            case 'card_moved_board':
+                fields.push({ name: name('board'), value: variables.board, inline: true });
+                if (this.getTargetListName(action)) {
+                    fields.push({ name: name('list'), value: variables.to, inline: true });
+                }
+                break;
+            case 'due_set':
+            case 'due_changed':
+            case 'due_removed':
+                if (data.old?.due) fields.push({ name: name('before'), value: variables.oldDue, inline: true });
+                if (data.card?.due) fields.push({ name: name('after'), value: variables.due, inline: true });
+                break;
+            case 'custom_field_changed':
+                fields.push({ name: name('before'), value: variables.oldValue, inline: true });
+                fields.push({ name: name('after'), value: variables.value, inline: true });
+                break;
+            case 'attachment_added':
+                if (data.attachment?.url) {
+                    fields.push({ name: name('link'), value: `[${variables.attachment}](${data.attachment.url})`.slice(0, 1024) });
+                }
+                break;
+            case 'description_changed':
+                if (data.card?.desc) {
+                    const preview = data.card.desc.length > DESCRIPTION_PREVIEW_LENGTH
+                        ? `${data.card.desc.slice(0, DESCRIPTION_PREVIEW_LENGTH - 1)}…`
+                        : data.card.desc;
+                    fields.push({ name: name('new_description'), value: preview });
+                }
+                break;
+            case 'check_item_added':
+            case 'check_item_completed':
+            case 'check_item_incomplete':
+                if (details.checklistProgress) {
+                    fields.push({ name: details.checklistProgress.name, value: variables.progress, inline: true });
+                }
+                break;
+        }
+
+        return fields;
+    }
+
+    formatDate(value) {
+        const localization = this.discordBot.localization;
+        if (!value) return localization.t('value.none');
+        return localization.formatEmbedDate(value, 'date');
+    }
+
+    formatCustomFieldValue(customField, item, options) {
+        const t = key => this.discordBot.localization.t(key);
+        if (!item) return t('value.none');
+
+        if (item.idValue) {
+            return (options && options.get(item.idValue)) || t('value.unknown_option');
+        }
+
+        const value = item.value;
+        if (!value) return t('value.none');
+        if (value.checked !== undefined) return value.checked === 'true' ? t('value.checked') : t('value.unchecked');
+        if (value.date) return this.formatDate(value.date);
+        if (value.number !== undefined) return String(value.number);
+        if (value.text !== undefined) return value.text || t('value.none');
+        return t('value.none');
+    }
+
+    // List custom fields only carry the option ID in actions, the option text comes from the board
+    async getCustomFieldOptions(action) {
+        const boardId = action.data?.board?.id;
+        const fieldId = action.data?.customField?.id;
+        if (!boardId || !fieldId || action.data?.customField?.type !== 'list') return null;
+
+        if (!this.customFields.has(boardId)) {
+            this.customFields.set(boardId, await this.trelloHelper.getBoardCustomFields(boardId));
+        }
+
+        const field = this.customFields.get(boardId).find(candidate => candidate.id === fieldId);
+        if (!field) {
+            // A new field or option, fetch again next time
+            this.customFields.delete(boardId);
+            return null;
+        }
+
+        return new Map((field.options || []).map(option => [option.id, option.value?.text || option.id]));
+    }
+
+    // Trello resolves card IDs in short URLs too, for actions that do not carry the short link
+    getCardUrl(action) {
+        const card = action.data?.card;
+        const reference = card?.shortLink || card?.id;
+        return reference ? `https://trello.com/c/${reference}` : null;
+    }
+
+    getFooter() {
+        return {
+            text: `${this.emoji} Trello`,
+            icon_url: 'https://cdn.iconscout.com/icon/free/png-256/trello-226529.png'
+        };
+    }
+
+    // The member an assignment action is about, as a Discord mention when linked
+    describeMember(action) {
+        const member = action.member;
+        const discordUserId = this.discordBot.memberIdentities.getDiscordUserId(action.data?.idMember || member?.id);
+        if (discordUserId) return `<@${discordUserId}>`;
+        return `**${member?.fullName || member?.username || this.discordBot.localization.t('unknown.member')}**`;
+    }
+
+    // Names the Trello member who made the change, with their Discord name when they are linked
+    getActionAuthor(action) {
+        const creator = action.memberCreator;
+        if (!creator) return null;
+
+        let name = creator.fullName || creator.username || 'Trello';
+        const discordUserId = this.discordBot.memberIdentities.getDiscordUserId(creator.id);
+        const discordUser = discordUserId && this.discordBot.client.users.cache.get(discordUserId);
+        if (discordUser) {
+            name = `${name} (@${discordUser.username})`;
+        }
+
+        return {
+            name,
+            icon_url: creator.avatarUrl ? `${creator.avatarUrl}/50.png` : undefined
+        };
+    }
+
+    formatDigest(entries) {
+        const lines = entries.map(({ embed }) => {
+            const details = (embed.fields || []).map(field => `${field.name}: ${field.value}`).join(', ');
+            return `**${embed.title}** · ${embed.description}${details ? ` (${details})` : ''}`;
+        });
+
+        let description = lines.join('\n');
+        if (description.length > EMBED_DESCRIPTION_LIMIT) {
+            description = `${description.slice(0, EMBED_DESCRIPTION_LIMIT - 1)}…`;
+        }
+
+        // Only name an author when one person made every change
+        const authors = new Set(entries.map(({ embed }) => embed.author?.name));
+        const lastEntry = entries[entries.length - 1];
+
+        return {
+            color: 0x0079BF,
+            author: authors.size === 1 ? entries[0].embed.author : undefined,
+            title: this.discordBot.localization.plural('notification.digest.title', entries.length),
+            url: this.getCardUrl(lastEntry.action) || undefined,
+            description,
+            footer: this.getFooter(),
+            timestamp: new Date(lastEntry.action.date).toISOString()
+        };
+    }
+}
+
+module.exports = NotificationFormatter;
@@ -0,0 +1,87 @@
+const JsonFileStore = require('./json-file-store');
+
+class NotificationLog {
+    constructor(filePath, retentionDays = 30, saveDelayMs = 1000) {
+        this.file = new JsonFileStore(filePath, { name: 'notification log', saveDelayMs, serialize: () => this.serialize() });
+        this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+        this.entries = new Map(); // Trello action ID -> { messageId, threadId, cardId, webhook, sentAt }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!this.file.exists()) {
+                console.log(`📒 No notification log found at ${this.file.filePath}, starting empty`);
+                return;
+            }
+
+            const data = this.file.read();
+            Object.entries(data.notifications || {}).forEach(([actionId, entry]) => {
+                if (entry && entry.messageId) {
+                    this.entries.set(actionId, entry);
+                }
+            });
+
+            const pruned = this.prune();
+            console.log(`📒 Loaded ${this.entries.size} sent notifications${pruned ? `, pruned ${pruned} older ones` : ''}`);
+        } catch (error) {
+            console.error(`Error loading notification log ${this.file.filePath}:`, error);
+        }
+    }
+
+    has(actionId) {
+        return this.entries.has(actionId);
+    }
+
+    get(actionId) {
+        return this.entries.get(actionId) || null;
+    }
+
+    record(actionId, message, details = {}) {
+        this.entries.set(actionId, {
+            messageId: message.id,
+            threadId: message.channelId,
+            cardId: details.cardId || null,
+            webhook: Boolean(message.webhookId),
+            sentAt: new Date().toISOString()
+        });
+        this.scheduleSave();
+    }
+
+    delete(actionId) {
+        if (this.entries.delete(actionId)) {
+            this.scheduleSave();
+        }
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        let pruned = 0;
+
+        for (const [actionId, entry] of this.entries) {
+            if (new Date(entry.sentAt).getTime() < cutoff) {
+                this.entries.delete(actionId);
+                pruned++;
+            }
+        }
+
+        return pruned;
+    }
+
+    // Expired entries are dropped on every save
+    serialize() {
+        this.prune();
+        return { notifications: Object.fromEntries(this.entries) };
+    }
+
+    scheduleSave() {
+        this.file.scheduleSave();
+    }
+
+    save() {
+        this.file.save();
+    }
+}
+
+module.exports = NotificationLog;
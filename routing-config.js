@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+class RoutingConfig {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.routes = new Map(); // forumChannelId -> route
+
+        this.load();
+    }
+
+    load() {
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                const routes = Array.isArray(data.routes) ? data.routes : [];
+
+                for (const route of routes) {
+                    if (!route.forumChannelId || !route.boardId || !route.listId) {
+                        console.log(`⚠️ Skipping routing entry without forumChannelId, boardId and listId: ${JSON.stringify(route)}`);
+                        continue;
+                    }
+                    this.routes.set(route.forumChannelId, this.normalizeRoute(route));
+                }
+
+                console.log(`🧭 Loaded ${this.routes.size} forum routes from ${this.filePath}`);
+                return;
+            } catch (error) {
+                console.error(`Error loading routing config ${this.filePath}, falling back to env settings:`, error);
+                this.routes.clear();
+            }
+        }
+
+        // Without a routing file, behave exactly like the single-forum env setup
+        if (process.env.FORUM_CHANNEL_ID) {
+            this.routes.set(process.env.FORUM_CHANNEL_ID, this.normalizeRoute({
+                forumChannelId: process.env.FORUM_CHANNEL_ID,
+                boardId: process.env.TRELLO_BOARD_ID,
+                listId: process.env.TRELLO_LIST_ID,
+                publishListIds: process.env.TRELLO_PUBLISH_LIST_IDS
+            }));
+        }
+    }
+
+    normalizeRoute(route) {
+        const tagRoutes = Object.entries(route.tags || {})
+            .filter(([tag, target]) => {
+                // The route's list belongs to the route's board, a tag on another board has to name its own list
+                if (target.boardId && target.boardId !== route.boardId && !target.listId) {
+                    console.log(`⚠️ Skipping tag route "${tag}" in ${route.forumChannelId}: boardId ${target.boardId} needs a listId on that board`);
+                    return false;
+                }
+                return true;
+            })
+            .map(([tag, target]) => ({
+                tag,
+                boardId: target.boardId || route.boardId,
+                listId: target.listId || route.listId
+            }));
+
+        return {
+            forumChannelId: route.forumChannelId,
+            name: route.name || route.forumChannelId,
+            boardId: route.boardId,
+            listId: route.listId,
+            tagLabelMap: route.tagLabelMap || null,
+            tagRoutes,
+            publishListIds: this.parseListIds(route.publishListIds),
+            cardStyle: route.cardStyle || null,
+            // Template files are looked up next to the routing file
+            cardTemplate: route.cardTemplate ? path.resolve(path.dirname(this.filePath), route.cardTemplate) : null
+        };
+    }
+
+    // An array in routing.json, a comma-separated string from the env
+    parseListIds(value) {
+        if (!value) return [];
+        const ids = Array.isArray(value) ? value : String(value).split(',');
+        return ids.map(id => String(id).trim()).filter(Boolean);
+    }
+
+    isRoutedForum(channelId) {
+        return this.routes.has(channelId);
+    }
+
+    getForumIds() {
+        return Array.from(this.routes.keys());
+    }
+
+    getRoute(forumChannelId) {
+        return this.routes.get(forumChannelId) || null;
+    }
+
+    getBoardIds() {
+        const boardIds = new Set();
+        for (const route of this.routes.values()) {
+            boardIds.add(route.boardId);
+            route.tagRoutes.forEach(tagRoute => boardIds.add(tagRoute.boardId));
+        }
+        return Array.from(boardIds).filter(Boolean);
+    }
+
+    // Boards a forum's threads can end up on, its default board first
+    getForumBoardIds(forumChannelId) {
+        const route = this.getRoute(forumChannelId);
+        if (!route) return [];
+        return Array.from(new Set([route.boardId, ...route.tagRoutes.map(tagRoute => tagRoute.boardId)]));
+    }
+
+    // Cards arriving in a publish list get a forum post in the route that lists it
+    getPublishRoute(listId) {
+        for (const route of this.routes.values()) {
+            if (route.publishListIds.includes(listId)) return route;
+        }
+        return null;
+    }
+
+    // Tag routes match by tag ID or (case-insensitive) tag name, in the order the thread's tags were applied
+    resolve(thread) {
+        const route = this.getRoute(thread.parentId);
+        if (!route) return null;
+
+        const availableTags = thread.parent?.availableTags || [];
+        for (const tagId of thread.appliedTags || []) {
+            const tag = availableTags.find(available => available.id === tagId);
+            const tagName = tag ? tag.name.toLowerCase() : null;
+            const tagRoute = route.tagRoutes.find(candidate =>
+                candidate.tag === tagId || (tagName && candidate.tag.toLowerCase() === tagName)
+            );
+
+            if (tagRoute) {
+                return { forumChannelId: route.forumChannelId, boardId: tagRoute.boardId, listId: tagRoute.listId };
+            }
+        }
+
+        return { forumChannelId: route.forumChannelId, boardId: route.boardId, listId: route.listId };
+    }
+}
+
+module.exports = RoutingConfig;
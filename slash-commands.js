@@ -0,0 +1,484 @@
+const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const { TrelloAuthError, TrelloNotFoundError } = require('./trello-errors');
+
+const CARD_URL_REGEX = /trello\.com\/c\/([A-Za-z0-9]+)/;
+const CARD_ID_REGEX = /^([a-f0-9]{24}|[A-Za-z0-9]{8})$/;
+const MANAGE_SUBCOMMANDS = new Set(['link', 'unlink', 'resync', 'move', 'notifications']);
+const ANYWHERE_SUBCOMMANDS = new Set(['whoami']);
+
+class SlashCommands {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+        this.managerRoleId = process.env.TRELLO_MANAGER_ROLE_ID || null;
+    }
+
+    buildCommands() {
+        const command = new SlashCommandBuilder()
+            .setName('trello')
+            .setDescription('Manage the Trello card linked to this thread')
+            .addSubcommand(subcommand => subcommand
+                .setName('status')
+                .setDescription('Show the linked card, its list, labels and members'))
+            .addSubcommand(subcommand => subcommand
+                .setName('link')
+                .setDescription('Link this thread to an existing Trello card')
+                .addStringOption(option => option
+                    .setName('card-url')
+                    .setDescription('Trello card URL or ID')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('unlink')
+                .setDescription('Remove the link between this thread and its card'))
+            .addSubcommand(subcommand => subcommand
+                .setName('resync')
+                .setDescription('Rewrite the card from the full thread history'))
+            .addSubcommand(subcommand => subcommand
+                .setName('move')
+                .setDescription('Move the linked card to another list')
+                .addStringOption(option => option
+                    .setName('list')
+                    .setDescription('Target list')
+                    .setRequired(true)
+                    .setAutocomplete(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('checklist')
+                .setDescription('Add items to a checklist on the linked card')
+                .addStringOption(option => option
+                    .setName('items')
+                    .setDescription('Items separated by semicolons, e.g. "Write tests; Update docs"')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Checklist to add to, created if missing')))
+            .addSubcommand(subcommand => subcommand
+                .setName('notifications')
+                .setDescription('Show or choose which Trello notifications this thread receives')
+                .addStringOption(option => option
+                    .setName('categories')
+                    .setDescription('"all", "none" or categories such as "labels,members,card_changes"')))
+            .addSubcommand(subcommand => subcommand
+                .setName('subscribe')
+                .setDescription('Get DMs about changes to the linked card')
+                .addStringOption(option => option
+                    .setName('categories')
+                    .setDescription('"all" or categories such as "card_changes,comments"')))
+            .addSubcommand(subcommand => subcommand
+                .setName('unsubscribe')
+                .setDescription('Stop DMs about the linked card'))
+            .addSubcommand(subcommand => subcommand
+                .setName('whoami')
+                .setDescription('Show or set the Trello account linked to your Discord account')
+                .addStringOption(option => option
+                    .setName('trello-user')
+                    .setDescription('Your Trello username, to link it'))
+                .addBooleanOption(option => option
+                    .setName('forget')
+                    .setDescription('Remove the link to your Trello account')));
+
+        return [command.toJSON()];
+    }
+
+    async register(guild) {
+        try {
+            await guild.commands.set(this.buildCommands());
+            console.log(`⌨️ Registered /trello commands in ${guild.name}`);
+        } catch (error) {
+            console.error('Error registering slash commands:', error);
+        }
+    }
+
+    async handleInteraction(interaction) {
+        if (interaction.isAutocomplete() && interaction.commandName === 'trello') {
+            await this.handleAutocomplete(interaction);
+            return;
+        }
+
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'trello') return;
+
+        const subcommand = interaction.options.getSubcommand();
+        const thread = interaction.channel;
+
+        try {
+            const needsThread = !ANYWHERE_SUBCOMMANDS.has(subcommand);
+            if (needsThread && (!thread || !thread.isThread() || !this.discordBot.routing.isRoutedForum(thread.parentId))) {
+                await this.replyEphemeral(interaction, this.t('command.not_in_thread'));
+                return;
+            }
+
+            if (MANAGE_SUBCOMMANDS.has(subcommand) && !this.canManage(interaction)) {
+                await this.replyEphemeral(interaction, this.t('command.no_permission'));
+                return;
+            }
+
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+            switch (subcommand) {
+                case 'status':
+                    await this.handleStatus(interaction, thread);
+                    break;
+                case 'link':
+                    await this.handleLink(interaction, thread);
+                    break;
+                case 'unlink':
+                    await this.handleUnlink(interaction, thread);
+                    break;
+                case 'resync':
+                    await this.handleResync(interaction, thread);
+                    break;
+                case 'move':
+                    await this.handleMove(interaction, thread);
+                    break;
+                case 'checklist':
+                    await this.handleChecklist(interaction, thread);
+                    break;
+                case 'notifications':
+                    await this.handleNotifications(interaction, thread);
+                    break;
+                case 'subscribe':
+                    await this.handleSubscribe(interaction, thread);
+                    break;
+                case 'unsubscribe':
+                    await this.handleUnsubscribe(interaction, thread);
+                    break;
+                case 'whoami':
+                    await this.handleWhoami(interaction);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Error handling /trello ${subcommand}:`, error);
+            await this.replyEphemeral(interaction, this.describeError(error)).catch(() => {});
+        }
+    }
+
+    // Every reply goes through LOCALE_STRINGS_PATH, like notifications do
+    t(key, variables) {
+        return this.discordBot.localization.t(key, variables);
+    }
+
+    describeError(error) {
+        if (error instanceof TrelloNotFoundError) return this.t('command.error.not_found');
+        if (error instanceof TrelloAuthError) return this.t('command.error.auth');
+        return this.t('command.error.other', { message: error.message });
+    }
+
+    // Unknown categories are reported with the ones that exist, anything else is a real error
+    describeCategoryError(error) {
+        if (!error.unknownCategories) throw error;
+
+        const subscriptions = this.discordBot.subscriptions;
+        return this.t('command.categories.unknown', {
+            categories: error.unknownCategories.join(', '),
+            available: subscriptions.categories.join(', ')
+        });
+    }
+
+    canManage(interaction) {
+        if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageThreads)) return true;
+        return Boolean(this.managerRoleId && interaction.member?.roles?.cache?.has(this.managerRoleId));
+    }
+
+    async replyEphemeral(interaction, content) {
+        if (interaction.deferred || interaction.replied) {
+            await interaction.editReply({ content });
+        } else {
+            await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+        }
+    }
+
+    async getLinkedCardId(interaction, thread) {
+        const cardId = this.discordBot.findCardByThreadId(thread.id);
+        if (!cardId) {
+            await interaction.editReply({ content: this.t('command.not_linked') });
+        }
+        return cardId;
+    }
+
+    async handleStatus(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        const card = await this.trelloHelper.getCard(cardId, 'name,shortUrl,closed,due,labels', {
+            list: 'true',
+            members: 'true',
+            member_fields: 'fullName,username'
+        });
+        const record = this.discordBot.mappingStore.get(thread.id);
+        const localization = this.discordBot.localization;
+        const none = this.t('value.none');
+
+        const labels = localization.list((card.labels || []).map(label => label.name || label.color)) || none;
+        const members = localization.list((card.members || []).map(member => member.fullName || member.username)) || none;
+
+        await interaction.editReply({
+            embeds: [{
+                color: 0x0079BF,
+                title: card.name,
+                url: card.shortUrl,
+                fields: [
+                    { name: this.t('command.status.list'), value: card.list?.name || this.t('unknown.list'), inline: true },
+                    { name: this.t('command.status.status'), value: this.t(card.closed ? 'command.status.archived' : 'command.status.open'), inline: true },
+                    { name: this.t('command.status.due'), value: card.due ? localization.formatEmbedDate(card.due, 'date') : none, inline: true },
+                    { name: this.t('command.status.labels'), value: labels },
+                    { name: this.t('command.status.members'), value: members },
+                    {
+                        name: this.t('command.status.last_synced'),
+                        value: record?.lastSyncedAt ? localization.formatEmbedDate(record.lastSyncedAt, 'full') : this.t('command.status.never')
+                    }
+                ],
+                footer: { text: 'Trello' }
+            }]
+        });
+    }
+
+    parseCardReference(value) {
+        const trimmed = value.trim();
+        const urlMatch = trimmed.match(CARD_URL_REGEX);
+        if (urlMatch) return urlMatch[1];
+        const idMatch = trimmed.match(CARD_ID_REGEX);
+        return idMatch ? idMatch[1] : null;
+    }
+
+    async handleLink(interaction, thread) {
+        const reference = this.parseCardReference(interaction.options.getString('card-url'));
+        if (!reference) {
+            await interaction.editReply({ content: this.t('command.link.invalid') });
+            return;
+        }
+
+        const card = await this.trelloHelper.getCard(reference, 'id,name,shortUrl,idBoard,idList');
+        const linkedThreadId = this.discordBot.findThreadByCardId(card.id);
+        if (linkedThreadId && linkedThreadId !== thread.id) {
+            await interaction.editReply({ content: this.t('command.link.taken', { thread: `<#${linkedThreadId}>` }) });
+            return;
+        }
+
+        const previousCardId = this.discordBot.findCardByThreadId(thread.id);
+        if (previousCardId && previousCardId !== card.id) {
+            await this.discordBot.untagCard(previousCardId, thread);
+        }
+
+        this.discordBot.linkThreadToCard(thread.id, card.id, {
+            boardId: card.idBoard,
+            listId: card.idList
+        });
+        await this.discordBot.tagCardWithThread(card.id, thread);
+        await this.discordBot.syncCard(thread, card.id);
+
+        console.log(`⌨️ ${interaction.user.username} linked thread ${thread.name} to card ${card.id}`);
+        await interaction.editReply({ content: this.t('command.link.done', { card: card.name, url: card.shortUrl }) });
+    }
+
+    async handleUnlink(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        await this.discordBot.untagCard(cardId, thread);
+        this.discordBot.mappingStore.markUnlinked(thread.id);
+
+        console.log(`⌨️ ${interaction.user.username} unlinked thread ${thread.name} from card ${cardId}`);
+        await interaction.editReply({ content: this.t('command.unlink.done') });
+    }
+
+    async handleResync(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        await this.discordBot.syncCard(thread, cardId);
+        await interaction.editReply({ content: this.t('command.resync.done') });
+    }
+
+    async getCardLists(thread) {
+        const record = this.discordBot.mappingStore.get(thread.id);
+        const boardId = record?.boardId || this.discordBot.routing.resolve(thread)?.boardId;
+        return boardId ? this.trelloHelper.getBoardLists(boardId) : [];
+    }
+
+    async handleMove(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        const value = interaction.options.getString('list');
+        const lists = await this.getCardLists(thread);
+        const list = lists.find(candidate => candidate.id === value) ||
+            lists.find(candidate => candidate.name.toLowerCase() === value.toLowerCase());
+
+        if (!list) {
+            await interaction.editReply({ content: this.t('command.move.unknown_list', { list: value }) });
+            return;
+        }
+
+        await this.trelloHelper.updateCard(cardId, { idList: list.id });
+        this.discordBot.mappingStore.updateByCardId(cardId, { listId: list.id });
+
+        console.log(`⌨️ ${interaction.user.username} moved card ${cardId} to list ${list.name}`);
+        await interaction.editReply({ content: this.t('command.move.done', { list: list.name }) });
+    }
+
+    async handleChecklist(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        const checklistSync = this.discordBot.checklistSync;
+        const items = checklistSync.parseItems(interaction.options.getString('items').split(';'));
+        if (items.length === 0) {
+            await interaction.editReply({ content: this.t('command.checklist.empty') });
+            return;
+        }
+
+        const checklist = await checklistSync.addItems(cardId, interaction.options.getString('name'), items);
+        console.log(`⌨️ ${interaction.user.username} added ${items.length} checklist item(s) to card ${cardId}`);
+        await interaction.editReply({
+            content: this.discordBot.localization.plural('command.checklist.done', items.length, { checklist: checklist.name })
+        });
+    }
+
+    async handleNotifications(interaction, thread) {
+        const subscriptions = this.discordBot.subscriptions;
+        const value = interaction.options.getString('categories');
+
+        if (!value) {
+            const current = subscriptions.describeCategories(subscriptions.getThreadCategories(thread.id));
+            await interaction.editReply({
+                content: this.t('command.notifications.current', { categories: current, available: subscriptions.categories.join(', ') })
+            });
+            return;
+        }
+
+        let categories;
+        try {
+            categories = subscriptions.parseCategories(value);
+        } catch (error) {
+            await interaction.editReply({ content: this.describeCategoryError(error) });
+            return;
+        }
+
+        subscriptions.setThreadCategories(thread.id, categories);
+        console.log(`⌨️ ${interaction.user.username} set notifications of thread ${thread.name} to ${subscriptions.describeCategories(categories)}`);
+        await interaction.editReply({
+            content: categories && categories.length === 0
+                ? this.t('command.notifications.muted')
+                : this.t('command.notifications.done', { categories: subscriptions.describeCategories(categories) })
+        });
+    }
+
+    async handleSubscribe(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        const subscriptions = this.discordBot.subscriptions;
+        let categories;
+        try {
+            categories = subscriptions.parseCategories(interaction.options.getString('categories'));
+        } catch (error) {
+            await interaction.editReply({ content: this.describeCategoryError(error) });
+            return;
+        }
+
+        if (categories && categories.length === 0) {
+            await this.handleUnsubscribe(interaction, thread);
+            return;
+        }
+
+        subscriptions.subscribe(cardId, interaction.user.id, categories);
+        console.log(`⌨️ ${interaction.user.username} subscribed to card ${cardId} (${subscriptions.describeCategories(categories)})`);
+        await interaction.editReply({
+            content: this.t('command.subscribe.done', { categories: subscriptions.describeCategories(categories) })
+        });
+    }
+
+    async handleUnsubscribe(interaction, thread) {
+        const cardId = await this.getLinkedCardId(interaction, thread);
+        if (!cardId) return;
+
+        this.discordBot.subscriptions.unsubscribe(cardId, interaction.user.id);
+        console.log(`⌨️ ${interaction.user.username} unsubscribed from card ${cardId}`);
+        await interaction.editReply({ content: this.t('command.unsubscribe.done') });
+    }
+
+    async handleWhoami(interaction) {
+        const identities = this.discordBot.memberIdentities;
+        const userId = interaction.user.id;
+        const username = interaction.options.getString('trello-user');
+        const forget = interaction.options.getBoolean('forget');
+
+        if ((username || forget) && identities.isConfigured(userId)) {
+            await interaction.editReply({ content: this.t('command.whoami.configured') });
+            return;
+        }
+
+        if (forget) {
+            const removed = identities.unlink(userId);
+            console.log(`🪪 ${interaction.user.username} removed their Trello link`);
+            await interaction.editReply({
+                content: this.t(removed ? 'command.whoami.forgotten' : 'command.whoami.was_not_linked')
+            });
+            return;
+        }
+
+        if (username) {
+            const member = await this.trelloHelper.getMember(username.trim().replace(/^@/, ''), 'id,username,fullName,bio');
+            const owner = identities.getDiscordUserId(member.id);
+            if (owner && owner !== userId) {
+                await interaction.editReply({ content: this.t('command.whoami.taken', { username: member.username }) });
+                return;
+            }
+
+            // Proof of ownership: a one-time code in the Trello member's bio
+            const verification = identities.getVerification(userId, member.id);
+            if (!verification) {
+                const { code, expiresAt } = identities.startVerification(userId, member.id);
+                await interaction.editReply({
+                    content: this.t('command.whoami.verify', {
+                        username: member.username,
+                        code,
+                        minutes: Math.round((expiresAt - Date.now()) / 60000)
+                    })
+                });
+                return;
+            }
+
+            if (!(member.bio || '').includes(verification.code)) {
+                await interaction.editReply({
+                    content: this.t('command.whoami.code_missing', { code: verification.code, username: member.username })
+                });
+                return;
+            }
+
+            const record = identities.link(userId, member);
+            console.log(`🪪 ${interaction.user.username} linked their Discord account to Trello member ${record.username}`);
+            await interaction.editReply({ content: this.t('command.whoami.linked', { fullName: record.fullName, username: record.username }) });
+            return;
+        }
+
+        const identity = identities.get(userId);
+        await interaction.editReply({
+            content: identity
+                ? this.t('command.whoami.current', { fullName: identity.fullName, username: identity.username })
+                : this.t('command.whoami.not_linked')
+        });
+    }
+
+    async handleAutocomplete(interaction) {
+        try {
+            const thread = interaction.channel;
+            if (!thread || !thread.isThread()) {
+                await interaction.respond([]);
+                return;
+            }
+
+            const focused = interaction.options.getFocused().toLowerCase();
+            const lists = await this.getCardLists(thread);
+            const choices = lists
+                .filter(list => list.name.toLowerCase().includes(focused))
+                .slice(0, 25)
+                .map(list => ({ name: list.name.slice(0, 100), value: list.id }));
+
+            await interaction.respond(choices);
+        } catch (error) {
+            console.error('Error handling /trello autocomplete:', error);
+        }
+    }
+}
+
+module.exports = SlashCommands;
@@ -0,0 +1,143 @@
+const JsonFileStore = require('./json-file-store');
+
+class SubscriptionStore {
+    constructor(filePath, categories, saveDelayMs = 1000) {
+        this.file = new JsonFileStore(filePath, { name: 'notification subscriptions', saveDelayMs, serialize: () => this.serialize() });
+        this.categories = categories; // every notification category a thread or user can pick
+        this.threads = new Map(); // threadId -> { categories } where null means all and [] means muted
+        this.cards = new Map(); // cardId -> Map(userId -> { categories, unsubscribed })
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!this.file.exists()) {
+                console.log(`🔕 No notification subscriptions found at ${this.file.filePath}, starting empty`);
+                return;
+            }
+
+            const data = this.file.read();
+            Object.entries(data.threads || {}).forEach(([threadId, settings]) => {
+                this.threads.set(threadId, settings);
+            });
+            Object.entries(data.cards || {}).forEach(([cardId, users]) => {
+                this.cards.set(cardId, new Map(Object.entries(users)));
+            });
+
+            console.log(`🔕 Loaded notification settings for ${this.threads.size} thread(s) and ${this.cards.size} card(s)`);
+        } catch (error) {
+            console.error(`Error loading notification subscriptions ${this.file.filePath}:`, error);
+        }
+    }
+
+    // "all", "none" (or "mute") or a comma-separated list of categories; throws on unknown categories
+    parseCategories(value) {
+        const raw = (value || 'all').trim().toLowerCase();
+        if (raw === 'all') return null;
+        if (raw === 'none' || raw === 'mute') return [];
+
+        const categories = raw.split(',').map(category => category.trim()).filter(Boolean);
+        const unknown = categories.filter(category => !this.categories.includes(category));
+        if (unknown.length > 0) {
+            const error = new Error(`Unknown notification categories: ${unknown.join(', ')}. Use ${this.categories.join(', ')}, all or none.`);
+            error.unknownCategories = unknown;
+            throw error;
+        }
+        return [...new Set(categories)];
+    }
+
+    describeCategories(categories) {
+        if (categories === null || categories === undefined) return 'all';
+        if (categories.length === 0) return 'none';
+        return categories.join(', ');
+    }
+
+    getThreadCategories(threadId) {
+        const settings = this.threads.get(threadId);
+        return settings ? settings.categories : null;
+    }
+
+    setThreadCategories(threadId, categories) {
+        if (categories === null) {
+            this.threads.delete(threadId);
+        } else {
+            this.threads.set(threadId, { categories });
+        }
+        this.scheduleSave();
+    }
+
+    allowsThread(threadId, category) {
+        const categories = this.getThreadCategories(threadId);
+        return categories === null || categories.includes(category);
+    }
+
+    getSubscription(cardId, userId) {
+        return this.cards.get(cardId)?.get(userId) || null;
+    }
+
+    subscribe(cardId, userId, categories = null) {
+        if (!this.cards.has(cardId)) {
+            this.cards.set(cardId, new Map());
+        }
+        this.cards.get(cardId).set(userId, { categories, unsubscribed: false });
+        this.scheduleSave();
+    }
+
+    // Kept as an explicit opt-out, so default DMs to the thread creator stop as well
+    unsubscribe(cardId, userId) {
+        if (!this.cards.has(cardId)) {
+            this.cards.set(cardId, new Map());
+        }
+        this.cards.get(cardId).set(userId, { categories: [], unsubscribed: true });
+        this.scheduleSave();
+    }
+
+    isUnsubscribed(cardId, userId) {
+        return Boolean(this.getSubscription(cardId, userId)?.unsubscribed);
+    }
+
+    getSubscribers(cardId, category) {
+        const users = this.cards.get(cardId);
+        if (!users) return [];
+
+        return Array.from(users.entries())
+            .filter(([, subscription]) => !subscription.unsubscribed &&
+                (subscription.categories === null || subscription.categories.includes(category)))
+            .map(([userId]) => userId);
+    }
+
+    deleteCard(cardId) {
+        if (this.cards.delete(cardId)) {
+            this.scheduleSave();
+        }
+    }
+
+    deleteThread(threadId) {
+        if (this.threads.delete(threadId)) {
+            this.scheduleSave();
+        }
+    }
+
+    serialize() {
+        const cards = {};
+        this.cards.forEach((users, cardId) => {
+            if (users.size > 0) cards[cardId] = Object.fromEntries(users);
+        });
+
+        return {
+            threads: Object.fromEntries(this.threads),
+            cards
+        };
+    }
+
+    scheduleSave() {
+        this.file.scheduleSave();
+    }
+
+    save() {
+        this.file.save();
+    }
+}
+
+module.exports = SubscriptionStore;
@@ -0,0 +1,69 @@
+class SyncQueue {
+    constructor(debounceMs = 3000, maxWaitMs = 15000) {
+        this.debounceMs = debounceMs;
+        this.maxWaitMs = maxWaitMs;
+        this.chains = new Map(); // key -> promise of the last queued task
+        this.timers = new Map(); // key -> { timeout, firstScheduledAt, task }
+    }
+
+    // Tasks for the same key run one after another, never concurrently
+    run(key, task) {
+        const previous = this.chains.get(key) || Promise.resolve();
+        const current = previous
+            .catch(() => {})
+            .then(() => task());
+
+        this.chains.set(key, current);
+        current
+            .catch(() => {})
+            .then(() => {
+                if (this.chains.get(key) === current) {
+                    this.chains.delete(key);
+                }
+            });
+
+        return current;
+    }
+
+    // Bursts of schedule() calls collapse into one run, at most maxWaitMs after the first call
+    schedule(key, task) {
+        const pending = this.timers.get(key);
+        const now = Date.now();
+        const firstScheduledAt = pending ? pending.firstScheduledAt : now;
+
+        if (pending) {
+            clearTimeout(pending.timeout);
+        }
+
+        const delay = Math.max(0, Math.min(this.debounceMs, firstScheduledAt + this.maxWaitMs - now));
+        const timeout = setTimeout(() => {
+            this.timers.delete(key);
+            this.run(key, task).catch(error => {
+                console.error(`Queued sync for ${key} failed:`, error);
+            });
+        }, delay);
+
+        this.timers.set(key, { timeout, firstScheduledAt, task });
+    }
+
+    cancel(key) {
+        const pending = this.timers.get(key);
+        if (pending) {
+            clearTimeout(pending.timeout);
+            this.timers.delete(key);
+        }
+    }
+
+    // Run every pending debounced task right away, used on shutdown
+    async flush() {
+        const pending = Array.from(this.timers.entries());
+        for (const [key, { timeout, task }] of pending) {
+            clearTimeout(timeout);
+            this.timers.delete(key);
+            this.run(key, task).catch(() => {});
+        }
+        await Promise.all(Array.from(this.chains.values()).map(chain => chain.catch(() => {})));
+    }
+}
+
+module.exports = SyncQueue;
@@ -0,0 +1,190 @@
+const MAX_APPLIED_TAGS = 5; // Discord's limit per forum post
+
+class TagLabelSync {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+        this.defaultMapping = this.parseMapping(process.env.TAG_LABEL_MAP);
+        this.mappings = new Map(); // "forumId:boardId" -> { tagToLabel, labelToTag }
+    }
+
+    parseMapping(raw) {
+        if (!raw) return {};
+
+        try {
+            const mapping = JSON.parse(raw);
+            if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+                throw new Error('expected a JSON object of "tag": "label" pairs');
+            }
+            return mapping;
+        } catch (error) {
+            console.error('🏷️ Invalid TAG_LABEL_MAP, tag/label sync disabled:', error.message);
+            return {};
+        }
+    }
+
+    getMapping(forumChannelId, boardId) {
+        return this.mappings.get(`${forumChannelId}:${boardId}`) || null;
+    }
+
+    // Labels only exist per board, so the map is resolved for every board a forum routes to.
+    // Entries may name tags and labels by ID or by (case-insensitive) name.
+    async initialize(forumChannel, boardIds) {
+        const route = this.discordBot.routing.getRoute(forumChannel.id);
+        const entries = Object.entries((route && route.tagLabelMap) || this.defaultMapping);
+        if (entries.length === 0) return;
+
+        const tags = forumChannel.availableTags || [];
+        for (const boardId of boardIds) {
+            try {
+                const labels = await this.trelloHelper.getBoardLabels(boardId);
+                const mapping = { tagToLabel: new Map(), labelToTag: new Map() };
+
+                for (const [tagKey, labelKey] of entries) {
+                    const tag = this.findByIdOrName(tags, tagKey);
+                    const label = this.findByIdOrName(labels, labelKey);
+
+                    if (!tag) {
+                        console.log(`⚠️ Forum tag "${tagKey}" does not exist in #${forumChannel.name}, skipping`);
+                        continue;
+                    }
+                    if (!label) {
+                        console.log(`⚠️ Trello label "${labelKey}" does not exist on board ${boardId}, skipping`);
+                        continue;
+                    }
+
+                    mapping.tagToLabel.set(tag.id, label.id);
+                    mapping.labelToTag.set(label.id, tag.id);
+                }
+
+                if (mapping.tagToLabel.size > 0) {
+                    this.mappings.set(`${forumChannel.id}:${boardId}`, mapping);
+                }
+                console.log(`🏷️ Mapped ${mapping.tagToLabel.size} tags in #${forumChannel.name} to labels on board ${boardId}`);
+            } catch (error) {
+                console.error(`Error initializing tag/label mapping for board ${boardId}:`, error);
+            }
+        }
+    }
+
+    getThreadMapping(thread) {
+        const record = this.discordBot.mappingStore.get(thread.id);
+        const boardId = (record && record.boardId) || this.discordBot.routing.resolve(thread)?.boardId;
+        return this.getMapping(thread.parentId, boardId);
+    }
+
+    findByIdOrName(items, key) {
+        const lowerKey = String(key).toLowerCase();
+        return items.find(item => item.id === key) ||
+            items.find(item => item.name && item.name.toLowerCase() === lowerKey) ||
+            null;
+    }
+
+    // Only tags that changed since previousTags are mirrored. The rest of the thread's tags may lag behind the card,
+    // e.g. a label that did not fit in Discord's tag limit or one whose tag is still being applied by the bot.
+    async syncThreadTagsToCard(thread, cardId, previousTags = []) {
+        const mapping = this.getThreadMapping(thread);
+        if (!mapping) return;
+
+        const before = new Set(previousTags);
+        const after = new Set(thread.appliedTags || []);
+        const addedTags = [...after].filter(tagId => !before.has(tagId) && mapping.tagToLabel.has(tagId));
+        const removedTags = [...before].filter(tagId => !after.has(tagId) && mapping.tagToLabel.has(tagId));
+        if (addedTags.length === 0 && removedTags.length === 0) return;
+
+        try {
+            const card = await this.trelloHelper.getCard(cardId, 'idLabels');
+            const cardLabels = new Set(card.idLabels || []);
+
+            // Only mapped labels are touched, anything else on the card is left alone
+            for (const tagId of addedTags) {
+                const labelId = mapping.tagToLabel.get(tagId);
+                if (cardLabels.has(labelId)) continue;
+
+                await this.trelloHelper.addLabelToCard(cardId, labelId);
+                console.log(`🏷️ Added label ${labelId} to card ${cardId} for tag ${tagId}`);
+            }
+
+            for (const tagId of removedTags) {
+                const labelId = mapping.tagToLabel.get(tagId);
+                if (!cardLabels.has(labelId)) continue;
+
+                await this.trelloHelper.removeLabelFromCard(cardId, labelId);
+                console.log(`🏷️ Removed label ${labelId} from card ${cardId} for tag ${tagId}`);
+            }
+        } catch (error) {
+            console.error(`Error syncing tags of thread ${thread.name} to card ${cardId}:`, error.message);
+        }
+    }
+
+    async handleLabelAction(thread, action) {
+        const mapping = this.getMapping(thread.parentId, action.data?.board?.id);
+        if (!mapping) return;
+
+        const labelId = action.data?.label?.id;
+        const tagId = mapping.labelToTag.get(labelId);
+        if (!tagId) return;
+
+        const added = action.type === 'addLabelToCard';
+        const appliedTags = thread.appliedTags || [];
+        const hasTag = appliedTags.includes(tagId);
+
+        if (added === hasTag) return;
+
+        if (added && appliedTags.length >= MAX_APPLIED_TAGS) {
+            console.log(`⚠️ Thread ${thread.name} already has ${MAX_APPLIED_TAGS} tags, cannot apply tag ${tagId}`);
+            return;
+        }
+
+        const newTags = added
+            ? [...appliedTags, tagId]
+            : appliedTags.filter(id => id !== tagId);
+
+        try {
+            await thread.setAppliedTags(newTags, 'Synced from Trello label');
+            console.log(`🏷️ ${added ? 'Applied' : 'Removed'} tag ${tagId} on thread ${thread.name} from Trello label`);
+        } catch (error) {
+            console.error(`Error syncing label ${labelId} to thread ${thread.name}:`, error.message);
+        }
+    }
+
+    // Startup pass: union of both sides, nothing is removed so neither side loses data
+    async reconcile(threads) {
+        let reconciled = 0;
+        for (const thread of threads.values()) {
+            const cardId = this.discordBot.findCardByThreadId(thread.id);
+            const mapping = this.getThreadMapping(thread);
+            if (!cardId || !mapping) continue;
+
+            try {
+                const card = await this.trelloHelper.getCard(cardId, 'idLabels');
+                const cardLabels = new Set(card.idLabels || []);
+                const appliedTags = [...(thread.appliedTags || [])];
+
+                for (const tagId of appliedTags) {
+                    const labelId = mapping.tagToLabel.get(tagId);
+                    if (labelId && !cardLabels.has(labelId)) {
+                        await this.trelloHelper.addLabelToCard(cardId, labelId);
+                    }
+                }
+
+                const missingTags = [...cardLabels]
+                    .map(labelId => mapping.labelToTag.get(labelId))
+                    .filter(tagId => tagId && !appliedTags.includes(tagId));
+
+                if (missingTags.length > 0) {
+                    const newTags = [...appliedTags, ...missingTags].slice(0, MAX_APPLIED_TAGS);
+                    await thread.setAppliedTags(newTags, 'Synced from Trello labels');
+                }
+
+                reconciled++;
+            } catch (error) {
+                console.error(`Error reconciling tags for thread ${thread.name}:`, error.message);
+            }
+        }
+
+        console.log(`🏷️ Reconciled tags and labels for ${reconciled} threads`);
+    }
+}
+
+module.exports = TagLabelSync;
@@ -0,0 +1,18 @@
+const MAX_PARTIAL_DEPTH = 10;
+
+// The one placeholder syntax used by notification templates, card templates and translated strings.
+// {name} is replaced with a variable and, when partials are given, {>name} with another template.
+// Unknown placeholders are left as they are, so typos show up in the output instead of disappearing.
+function renderTemplate(template, variables = {}, partials = null, depth = 0) {
+    return String(template || '').replace(/\{(>?)(\w+)\}/g, (match, partial, name) => {
+        if (partial) {
+            if (!partials || depth >= MAX_PARTIAL_DEPTH || partials[name] === undefined) return match;
+            return renderTemplate(partials[name], variables, partials, depth + 1);
+        }
+        return variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match;
+    });
+}
+
+module.exports = {
+    renderTemplate
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CardAttachmentCache = require('../card-attachment-cache');
+
+// A cache whose Trello lists are `[{ id: '<cardId>-1' }]`, counting the fetches
+function createCache(maxCards) {
+    const fetched = [];
+    const cache = new CardAttachmentCache(async cardId => {
+        fetched.push(cardId);
+        return [{ id: `${cardId}-1` }];
+    }, maxCards);
+    return { cache, fetched };
+}
+
+test('a card\'s list is fetched once and kept current by add() and remove()', async () => {
+    const { cache, fetched } = createCache(10);
+
+    await cache.get('card');
+    cache.add('card', { id: 'card-2' });
+    cache.remove('card', 'card-1');
+
+    assert.deepEqual(await cache.get('card'), [{ id: 'card-2' }]);
+    assert.deepEqual(fetched, ['card']);
+});
+
+test('the least recently used card is dropped first', async () => {
+    const { cache, fetched } = createCache(2);
+
+    await cache.get('a');
+    await cache.get('b');
+    await cache.get('a');
+    await cache.get('c');
+
+    assert.deepEqual([...cache.cards.keys()], ['a', 'c']);
+    await cache.get('b');
+    assert.deepEqual(fetched, ['a', 'b', 'c', 'b']);
+});
+
+test('forget() makes the next get() fetch the list again', async () => {
+    const { cache, fetched } = createCache(10);
+
+    await cache.get('card');
+    cache.forget('card');
+    cache.add('card', { id: 'card-2' });
+
+    assert.deepEqual(await cache.get('card'), [{ id: 'card-1' }]);
+    assert.deepEqual(fetched, ['card', 'card']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CardTemplate = require('../card-template');
+
+const routing = (routes = {}) => ({ getRoute: id => routes[id] || null });
+
+test('renders the built-in verbose and compact styles', () => {
+    assert.equal(new CardTemplate(routing()).render('forum', 'title', { threadName: 'Bug', creator: 'Ann' }), '[Discord] Bug - by Ann');
+    assert.equal(new CardTemplate(routing(), { style: 'compact' }).render('forum', 'title', { threadName: 'Bug' }), 'Bug');
+});
+
+test('other templates of the style can be used as partials', () => {
+    const cardTemplate = new CardTemplate(routing(), { style: 'compact' });
+    assert.equal(cardTemplate.render('forum', 'originalMessage', { authorLine: 'Ann', timestamp: 'today', body: 'Hi' }), 'Ann · today\nHi\n---\n');
+});
+
+test('a template file overrides single templates of its style', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'card-template-')), 'templates.json');
+    fs.writeFileSync(filePath, JSON.stringify({ style: 'compact', templates: { title: '📌 {threadName}' } }));
+
+    const cardTemplate = new CardTemplate(routing(), { templatePath: filePath });
+    assert.equal(cardTemplate.render('forum', 'title', { threadName: 'Bug' }), '📌 Bug');
+    assert.equal(cardTemplate.render('forum', 'separator', {}), '---\n');
+});
+
+test('a route can pick its own style', () => {
+    const cardTemplate = new CardTemplate(routing({ docs: { cardStyle: 'compact' } }));
+    assert.equal(cardTemplate.render('docs', 'title', { threadName: 'Bug', creator: 'Ann' }), 'Bug');
+    assert.equal(cardTemplate.render('other', 'title', { threadName: 'Bug', creator: 'Ann' }), '[Discord] Bug - by Ann');
+});
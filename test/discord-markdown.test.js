@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiscordMarkdown = require('../discord-markdown');
+
+const context = {
+    guildId: '100',
+    resolveUser: id => (id === '1' ? 'Ann' : null),
+    resolveTrelloUsername: id => (id === '2' ? 'bob' : null),
+    resolveRole: id => (id === '3' ? 'Mods' : null),
+    resolveChannel: id => (id === '4' ? 'general' : null)
+};
+
+test('user mentions use the linked Trello username, then the display name', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(markdown.convert('<@1> <@!2> <@9>', context), '**@Ann** @bob **@unknown-user**');
+});
+
+test('role, channel and command mentions are spelled out', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(
+        markdown.convert('<@&3> <#4> </trello status:123>', context),
+        '**@Mods** [#general](https://discord.com/channels/100/4) `/trello status`'
+    );
+    assert.equal(markdown.convert('<#4>', { resolveChannel: context.resolveChannel }), '**#general**');
+});
+
+test('a resolver that throws falls back to the unknown name', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(markdown.convert('<@1>', { resolveUser: () => { throw new Error('gone'); } }), '**@unknown-user**');
+});
+
+test('code blocks and inline code are copied verbatim', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(markdown.convert('```js\nconst a = <@1>;\n```', context), '```js\nconst a = <@1>;\n```');
+    assert.equal(markdown.convert('run `<@1> ||x||` now', context), 'run `<@1> ||x||` now');
+});
+
+test('code fences are moved onto their own lines', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(markdown.convert('```one line```'), '```\none line\n```');
+    assert.equal(markdown.convert('before ```\ncode\n```after'), 'before \n```\ncode\n```\nafter');
+});
+
+test('>>> quotes everything after it, including code blocks', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(markdown.convert('intro\n>>> quoted\nmore'), 'intro\n> quoted\n> more');
+    assert.equal(markdown.convert('>>> a\n```\ncode\n```\nb'), '> a\n> ```\n> code\n> ```\n> b');
+});
+
+test('subtext becomes italics', () => {
+    const markdown = new DiscordMarkdown();
+    assert.equal(markdown.convert('-# small print'), '*small print*');
+});
+
+test('timestamps are formatted in the configured locale and time zone', () => {
+    const markdown = new DiscordMarkdown({ locale: 'en-US', timeZone: 'UTC' });
+    assert.equal(markdown.convert('<t:0:D>'), 'January 1, 1970');
+    assert.equal(markdown.convert('<t:0:t>'), '12:00 AM UTC');
+});
+
+test('relative timestamps are shown like the default style', () => {
+    const markdown = new DiscordMarkdown({ locale: 'en-US', timeZone: 'UTC' });
+    assert.equal(markdown.convert('<t:0:R>'), markdown.convert('<t:0>'));
+    assert.equal(markdown.convert('<t:abc>'), '<t:abc>');
+});
+
+test('spoilers, suppressed links and custom emoji', () => {
+    assert.equal(new DiscordMarkdown().convert('||secret|| <https://example.com>'), '[SPOILER: secret] https://example.com');
+    assert.equal(new DiscordMarkdown().convert('<:party:42>'), ':party:');
+    assert.equal(
+        new DiscordMarkdown({ emojiStyle: 'image' }).convert('<a:party:42>'),
+        '![party](https://cdn.discordapp.com/emojis/42.gif?size=24)'
+    );
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../json-file-store');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-store-')), 'nested', 'data.json');
+
+test('save() writes the serialized data with a version and leaves no temp file', () => {
+    const filePath = tempFile();
+    const store = new JsonFileStore(filePath, { serialize: () => ({ items: [1, 2] }) });
+
+    assert.equal(store.exists(), false);
+    store.save();
+
+    assert.deepEqual(store.read(), { version: 1, items: [1, 2] });
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('scheduleSave() collapses repeated calls into one write', async () => {
+    let writes = 0;
+    const store = new JsonFileStore(tempFile(), {
+        saveDelayMs: 10,
+        serialize: () => ({ writes: ++writes })
+    });
+
+    store.scheduleSave();
+    store.scheduleSave();
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    assert.equal(writes, 1);
+    assert.equal(store.read().writes, 1);
+});
+
+test('save() writes right away and cancels a scheduled save', () => {
+    let writes = 0;
+    const store = new JsonFileStore(tempFile(), { saveDelayMs: 10000, serialize: () => ({ writes: ++writes }) });
+
+    store.scheduleSave();
+    store.save();
+
+    assert.equal(store.saveTimeout, null);
+    assert.equal(writes, 1);
+});
+
+test('read() throws on a corrupt file', () => {
+    const filePath = tempFile();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{ not json');
+
+    assert.throws(() => new JsonFileStore(filePath).read(), SyntaxError);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationDigest = require('../notification-digest');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const entry = id => ({ action: { id } });
+
+test('collects a card\'s notifications into one batch', async () => {
+    const batches = [];
+    const digest = new NotificationDigest(20, async (thread, cardId, entries) => {
+        batches.push([cardId, entries.map(item => item.action.id)]);
+    });
+
+    digest.add({}, 'card', entry('a'));
+    digest.add({}, 'card', entry('b'));
+    digest.add({}, 'other', entry('c'));
+    assert.ok(digest.has('a'));
+
+    await sleep(50);
+    assert.deepEqual(batches, [['card', ['a', 'b']], ['other', ['c']]]);
+    assert.equal(digest.has('a'), false);
+});
+
+test('flush() posts a batch before its window closes', async () => {
+    const batches = [];
+    const digest = new NotificationDigest(10000, async (thread, cardId, entries) => batches.push(entries.length));
+
+    digest.add({}, 'card', entry('a'));
+    await digest.flush('card');
+    await digest.flush('card');
+
+    assert.deepEqual(batches, [1]);
+    assert.equal(digest.pending.size, 0);
+});
+
+test('a failed batch is queued again, ahead of newer notifications', async () => {
+    let calls = 0;
+    const batches = [];
+    const digest = new NotificationDigest(10, async (thread, cardId, entries) => {
+        calls++;
+        if (calls === 1) throw new Error('Discord is down');
+        batches.push(entries.map(item => item.action.id));
+    });
+
+    digest.add({}, 'card', entry('a'));
+    await digest.flush('card');
+    assert.ok(digest.has('a'));
+
+    digest.add({}, 'card', entry('b'));
+    await digest.flushAll();
+    assert.deepEqual(batches, [['a', 'b']]);
+});
+
+test('a batch that keeps failing is dropped', async () => {
+    const digest = new NotificationDigest(10000, async () => { throw new Error('Discord is down'); });
+
+    digest.add({}, 'card', entry('a'));
+    for (let i = 0; i < 3; i++) {
+        await digest.flush('card');
+    }
+
+    assert.equal(digest.pending.size, 0);
+    assert.equal(digest.has('a'), false);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoutingConfig = require('../routing-config');
+
+// A routing file in a temp directory holding `routes`
+function createRouting(routes) {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'routing-config-')), 'routing.json');
+    fs.writeFileSync(filePath, JSON.stringify({ routes }));
+    return new RoutingConfig(filePath);
+}
+
+const forum = {
+    forumChannelId: 'forum',
+    boardId: 'board',
+    listId: 'list',
+    tags: {
+        Bug: { listId: 'bugs' },
+        't-design': { boardId: 'design-board', listId: 'design-list' },
+        Broken: { boardId: 'other-board' }
+    }
+};
+
+const thread = appliedTags => ({
+    parentId: 'forum',
+    appliedTags,
+    parent: { availableTags: [{ id: 't-bug', name: 'bug' }, { id: 't-design', name: 'Design' }, { id: 't-misc', name: 'Misc' }] }
+});
+
+test('normalizeRoute() fills in tag routes from the forum route and drops cross-board tags without a list', () => {
+    const route = createRouting([forum]).getRoute('forum');
+
+    assert.deepEqual(route.tagRoutes, [
+        { tag: 'Bug', boardId: 'board', listId: 'bugs' },
+        { tag: 't-design', boardId: 'design-board', listId: 'design-list' }
+    ]);
+    assert.equal(route.name, 'forum');
+    assert.equal(route.cardTemplate, null);
+});
+
+test('normalizeRoute() reads publish lists from an array or a comma-separated string', () => {
+    const routing = createRouting([
+        { ...forum, publishListIds: ['a', ' b '] },
+        { forumChannelId: 'other', boardId: 'board', listId: 'list', publishListIds: 'c, ,d' }
+    ]);
+
+    assert.deepEqual(routing.getRoute('forum').publishListIds, ['a', 'b']);
+    assert.deepEqual(routing.getRoute('other').publishListIds, ['c', 'd']);
+    assert.equal(routing.getPublishRoute('d').forumChannelId, 'other');
+});
+
+test('entries without a board or list are skipped', () => {
+    const routing = createRouting([forum, { forumChannelId: 'incomplete', boardId: 'board' }]);
+
+    assert.deepEqual(routing.getForumIds(), ['forum']);
+    assert.deepEqual(routing.getBoardIds(), ['board', 'design-board']);
+});
+
+test('resolve() matches tags by ID or case-insensitive name in applied order', () => {
+    const routing = createRouting([forum]);
+
+    assert.deepEqual(routing.resolve(thread(['t-bug'])), { forumChannelId: 'forum', boardId: 'board', listId: 'bugs' });
+    assert.deepEqual(routing.resolve(thread(['t-design', 't-bug'])), {
+        forumChannelId: 'forum',
+        boardId: 'design-board',
+        listId: 'design-list'
+    });
+});
+
+test('resolve() falls back to the forum route and ignores unrouted forums', () => {
+    const routing = createRouting([forum]);
+
+    assert.deepEqual(routing.resolve(thread(['t-misc'])), { forumChannelId: 'forum', boardId: 'board', listId: 'list' });
+    assert.deepEqual(routing.resolve({ parentId: 'forum' }), { forumChannelId: 'forum', boardId: 'board', listId: 'list' });
+    assert.equal(routing.resolve({ parentId: 'elsewhere', appliedTags: ['t-bug'] }), null);
+});
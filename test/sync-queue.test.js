@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SyncQueue = require('../sync-queue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('tasks for the same key never overlap', async () => {
+    const queue = new SyncQueue();
+    const events = [];
+    const task = name => async () => {
+        events.push(`${name} start`);
+        await sleep(10);
+        events.push(`${name} end`);
+    };
+
+    await Promise.all([queue.run('thread', task('a')), queue.run('thread', task('b'))]);
+    assert.deepEqual(events, ['a start', 'a end', 'b start', 'b end']);
+});
+
+test('a failed task does not stop the next one', async () => {
+    const queue = new SyncQueue();
+    const failed = queue.run('thread', async () => { throw new Error('boom'); });
+    const next = queue.run('thread', async () => 'done');
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'done');
+});
+
+test('a burst of schedule() calls runs the last task once', async () => {
+    const queue = new SyncQueue(20, 1000);
+    const runs = [];
+    queue.schedule('thread', () => runs.push('first'));
+    queue.schedule('thread', () => runs.push('second'));
+
+    await sleep(60);
+    assert.deepEqual(runs, ['second']);
+});
+
+test('continuous scheduling still runs after maxWaitMs', async () => {
+    const queue = new SyncQueue(30, 50);
+    let runs = 0;
+    for (let i = 0; i < 6; i++) {
+        queue.schedule('thread', () => runs++);
+        await sleep(15);
+    }
+
+    assert.ok(runs >= 1);
+    queue.cancel('thread');
+});
+
+test('cancel() drops a pending task and flush() runs the rest right away', async () => {
+    const queue = new SyncQueue(1000, 5000);
+    const runs = [];
+    queue.schedule('a', () => runs.push('a'));
+    queue.schedule('b', () => runs.push('b'));
+    queue.cancel('a');
+
+    await queue.flush();
+    assert.deepEqual(runs, ['b']);
+});
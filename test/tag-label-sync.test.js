@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TagLabelSync = require('../tag-label-sync');
+
+// Tags t1..t3 map to labels l1..l3 on the thread's board, the card starts with `labels`
+function createSync(labels) {
+    const calls = [];
+    const discordBot = {
+        mappingStore: { get: () => ({ boardId: 'board' }) },
+        routing: { resolve: () => null }
+    };
+    const trelloHelper = {
+        getCard: async () => ({ idLabels: labels }),
+        addLabelToCard: async (cardId, labelId) => calls.push(`+${labelId}`),
+        removeLabelFromCard: async (cardId, labelId) => calls.push(`-${labelId}`)
+    };
+
+    const sync = new TagLabelSync(discordBot, trelloHelper);
+    sync.mappings.set('forum:board', {
+        tagToLabel: new Map([['t1', 'l1'], ['t2', 'l2'], ['t3', 'l3']]),
+        labelToTag: new Map([['l1', 't1'], ['l2', 't2'], ['l3', 't3']])
+    });
+    return { sync, calls };
+}
+
+const thread = appliedTags => ({ id: 'thread', name: 'Thread', parentId: 'forum', appliedTags });
+
+test('only the tags that changed are mirrored to the card', async () => {
+    // l3 is on the card without its tag, e.g. because the thread had no room for it
+    const { sync, calls } = createSync(['l1', 'l3']);
+
+    await sync.syncThreadTagsToCard(thread(['t1', 't2']), 'card', ['t1']);
+    assert.deepEqual(calls, ['+l2']);
+});
+
+test('removing a tag removes only its own label', async () => {
+    const { sync, calls } = createSync(['l1', 'l2', 'l3']);
+
+    await sync.syncThreadTagsToCard(thread(['t2']), 'card', ['t1', 't2']);
+    assert.deepEqual(calls, ['-l1']);
+});
+
+test('unmapped tags and unchanged tag sets do not touch the card', async () => {
+    const { sync, calls } = createSync([]);
+    sync.trelloHelper.getCard = async () => { throw new Error('should not be fetched'); };
+
+    await sync.syncThreadTagsToCard(thread(['t1', 'other']), 'card', ['t1']);
+    assert.deepEqual(calls, []);
+});
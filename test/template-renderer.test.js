@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('../template-renderer');
+
+test('replaces placeholders and leaves unknown ones as they are', () => {
+    assert.equal(renderTemplate('{name} has {count} {missing}', { name: 'Bug', count: 0, missing: null }), 'Bug has 0 {missing}');
+    assert.equal(renderTemplate(undefined, {}), '');
+});
+
+test('partials are only expanded when partials are given', () => {
+    const partials = { outer: '[{>inner}]', inner: '{value}' };
+    assert.equal(renderTemplate('{>outer}', { value: 1 }, partials), '[1]');
+    assert.equal(renderTemplate('{>outer}', { value: 1 }), '{>outer}');
+    assert.equal(renderTemplate('{>nothing}', {}, partials), '{>nothing}');
+});
+
+test('partials that include themselves stop after ten levels', () => {
+    const partials = { loop: 'x{>loop}' };
+    assert.equal(renderTemplate(partials.loop, {}, partials), `${'x'.repeat(11)}{>loop}`);
+});
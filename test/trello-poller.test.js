@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TrelloPoller = require('../trello-poller');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// A poller on one board whose Trello history is `actions` and whose processAction is replaced by `process`
+function createPoller(actions, process) {
+    const discordBot = {
+        dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'trello-poller-')),
+        routing: { getBoardIds: () => ['board'] }
+    };
+    const trelloHelper = {
+        getAllBoardActions: async () => actions
+    };
+
+    const poller = new TrelloPoller(discordBot, trelloHelper, 60);
+    poller.processAction = process;
+    poller.handlePollingError = () => {};
+    return poller;
+}
+
+const action = (id, minutesAgo) => ({
+    id,
+    date: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+    data: { board: { id: 'board' } }
+});
+
+test('a failed action keeps the cursor before it and is retried with everything after it', async t => {
+    const actions = [action('a1', 3), action('a2', 2), action('a3', 1)];
+    const handled = [];
+    let failing = true;
+    const poller = createPoller(actions, async current => {
+        handled.push(current.id);
+        if (current.id === 'a2' && failing) throw httpError(503);
+        return true;
+    });
+    t.after(() => poller.stop());
+
+    await poller.checkBoard('board');
+    assert.deepEqual(handled, ['a1', 'a2']);
+    assert.equal(poller.cursorStore.get('board').actionId, 'a1');
+
+    failing = false;
+    await poller.checkBoard('board');
+    assert.deepEqual(handled, ['a1', 'a2', 'a2', 'a3']);
+    assert.equal(poller.cursorStore.get('board').actionId, 'a3');
+});
+
+test('an action that can never succeed is skipped right away', async t => {
+    const poller = createPoller([action('a1', 2), action('a2', 1)], async current => {
+        if (current.id === 'a1') throw httpError(404);
+        return true;
+    });
+    t.after(() => poller.stop());
+
+    await poller.checkBoard('board');
+    assert.equal(poller.cursorStore.get('board').actionId, 'a2');
+    assert.equal(poller.blockedBoards.size, 0);
+});
+
+test('an action that keeps failing is skipped after five attempts', async t => {
+    let attempts = 0;
+    const poller = createPoller([action('a1', 1)], async () => {
+        attempts++;
+        throw httpError(500);
+    });
+    t.after(() => poller.stop());
+
+    for (let i = 0; i < 5; i++) {
+        await poller.checkBoard('board');
+    }
+    assert.equal(attempts, 5);
+    assert.equal(poller.cursorStore.get('board').actionId, 'a1');
+    assert.ok(poller.processedActions.has('a1'));
+});
+
+test('webhook actions before the first catch-up do not move the cursor past the downtime', async t => {
+    const missed = action('missed', 10);
+    const live = action('live', 1);
+    const handled = [];
+    const poller = createPoller([missed, live], async current => {
+        handled.push(current.id);
+        return true;
+    });
+    t.after(() => poller.stop());
+
+    await poller.handleAction(live);
+    assert.equal(poller.cursorStore.get('board'), null);
+
+    await poller.checkBoard('board');
+    assert.deepEqual(handled, ['live', 'missed']);
+    assert.equal(poller.cursorStore.get('board').actionId, 'missed');
+
+    const next = action('next', 0);
+    await poller.handleAction(next);
+    assert.equal(poller.cursorStore.get('board').actionId, 'next');
+});
+
+test('a failed catch-up in webhook mode is retried', async t => {
+    const poller = createPoller([], async () => true);
+    poller.trelloHelper.getAllBoardActions = async () => { throw httpError(503); };
+    t.after(() => poller.stop());
+
+    await poller.checkForUpdates();
+    assert.ok(poller.retryTimeout);
+    assert.ok(poller.catchingUpBoards.has('board'));
+
+    await poller.handleAction(action('live', 0));
+    assert.equal(poller.cursorStore.get('board'), null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TrelloRequestScheduler = require('../trello-request-scheduler');
+
+const response = (status, headers = {}) => ({ status, headers: { get: name => headers[name] || null } });
+
+test('never runs more than maxConcurrent requests at once', async () => {
+    const scheduler = new TrelloRequestScheduler({ maxConcurrent: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return response(200);
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(task)));
+    assert.equal(peak, 2);
+});
+
+test('poll requests start before queued sync requests', async () => {
+    const scheduler = new TrelloRequestScheduler({ maxConcurrent: 1 });
+    const order = [];
+    const task = name => async () => {
+        order.push(name);
+        return response(200);
+    };
+
+    await Promise.all([
+        scheduler.schedule(task('sync 1')),
+        scheduler.schedule(task('sync 2')),
+        scheduler.schedule(task('poll'), { priority: 'poll' })
+    ]);
+    assert.deepEqual(order, ['sync 1', 'poll', 'sync 2']);
+});
+
+test('a 429 is retried after Retry-After, even for requests that are not idempotent', async () => {
+    const scheduler = new TrelloRequestScheduler();
+    const statuses = [429, 200];
+    const result = await scheduler.schedule(async () => response(statuses.shift(), { 'retry-after': '0.01' }), { idempotent: false });
+
+    assert.equal(result.status, 200);
+    assert.equal(statuses.length, 0);
+});
+
+test('server errors are only retried for idempotent requests', async () => {
+    const scheduler = new TrelloRequestScheduler({ maxRetries: 2 });
+    scheduler.getBackoff = () => 1;
+
+    let calls = 0;
+    const failing = async () => {
+        calls++;
+        return response(503);
+    };
+
+    assert.equal((await scheduler.schedule(failing)).status, 503);
+    assert.equal(calls, 2);
+
+    calls = 0;
+    assert.equal((await scheduler.schedule(failing, { idempotent: false })).status, 503);
+    assert.equal(calls, 1);
+});
+
+test('waits when the per-token window is full', () => {
+    const scheduler = new TrelloRequestScheduler({ perTokenLimit: 2 });
+    const now = Date.now();
+    scheduler.windows[1].timestamps.push(now, now);
+
+    assert.ok(scheduler.getWaitTime() > 9000);
+    assert.equal(new TrelloRequestScheduler().getWaitTime(), 0);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+    const scheduler = new TrelloRequestScheduler();
+    assert.equal(scheduler.getRetryAfter(response(429, { 'retry-after': '2' })), 2000);
+    assert.ok(scheduler.getRetryAfter(response(429, { 'retry-after': new Date(Date.now() + 5000).toUTCString() })) > 3000);
+    assert.equal(scheduler.getRetryAfter(response(429)), 0);
+});
@@ -0,0 +1,168 @@
+const { SnowflakeUtil } = require('discord.js');
+
+// Discord's inactivity sweep runs a little after the deadline, never before it
+const AUTO_ARCHIVE_TOLERANCE_MS = 60 * 1000;
+
+class ThreadLifecycle {
+    constructor(discordBot, trelloHelper) {
+        this.discordBot = discordBot;
+        this.trelloHelper = trelloHelper;
+
+        // Discord -> Trello: "none", "archive" or "move:<listId>"
+        this.threadArchivedAction = this.parseCardAction(process.env.THREAD_ARCHIVED_ACTION);
+        this.threadLockedAction = this.parseCardAction(process.env.THREAD_LOCKED_ACTION);
+        this.threadDeletedAction = this.parseCardAction(process.env.THREAD_DELETED_ACTION);
+
+        // Trello -> Discord: "none", "archive", "lock" or "lock_archive"
+        this.doneListIds = new Set((process.env.TRELLO_DONE_LIST_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+        this.cardDoneAction = this.parseThreadAction(process.env.CARD_DONE_THREAD_ACTION);
+        this.cardClosedAction = this.parseThreadAction(process.env.CARD_CLOSED_THREAD_ACTION);
+        this.closingMessage = process.env.THREAD_CLOSING_MESSAGE || ''; // card moved to a done list
+        this.cardArchivedMessage = process.env.THREAD_CARD_ARCHIVED_MESSAGE || ''; // card archived, there is no list to name
+
+        // Threads the bot is archiving/locking itself, their ThreadUpdate events must not feed back into Trello
+        this.pendingThreadChanges = new Set();
+    }
+
+    parseCardAction(value) {
+        const raw = (value || 'none').trim();
+        if (raw === 'archive') return { type: 'archive' };
+        if (raw.startsWith('move:') && raw.length > 5) return { type: 'move', listId: raw.slice(5) };
+        if (raw !== 'none') {
+            console.log(`⚠️ Unknown thread lifecycle action "${raw}", expected none, archive or move:<listId>`);
+        }
+        return { type: 'none' };
+    }
+
+    parseThreadAction(value) {
+        const raw = (value || 'none').trim();
+        if (['archive', 'lock', 'lock_archive'].includes(raw)) return raw;
+        if (raw !== 'none') {
+            console.log(`⚠️ Unknown card lifecycle action "${raw}", expected none, archive, lock or lock_archive`);
+        }
+        return 'none';
+    }
+
+    async handleThreadUpdate(oldThread, newThread) {
+        if (this.pendingThreadChanges.has(newThread.id)) return;
+
+        const cardId = this.discordBot.findCardByThreadId(newThread.id);
+        if (!cardId) return;
+
+        if (!oldThread.archived && newThread.archived) {
+            if (this.isAutoArchived(oldThread, newThread)) {
+                console.log(`💤 Thread ${newThread.name} was archived for inactivity, leaving its card as it is`);
+            } else {
+                console.log(`📦 Thread ${newThread.name} was archived`);
+                await this.applyCardAction(cardId, this.threadArchivedAction);
+            }
+        }
+
+        if (!oldThread.locked && newThread.locked) {
+            console.log(`🔒 Thread ${newThread.name} was locked`);
+            await this.applyCardAction(cardId, this.threadLockedAction);
+        }
+    }
+
+    // Discord archives a thread by itself once autoArchiveDuration passes without activity, which is not a decision to close the card.
+    // Activity is the last message or the last time the thread was unarchived, whichever came later.
+    isAutoArchived(oldThread, newThread) {
+        const archivedAt = newThread.archiveTimestamp;
+        if (!archivedAt || !newThread.autoArchiveDuration) return false;
+
+        const lastActivity = Math.max(
+            newThread.lastMessageId ? SnowflakeUtil.timestampFrom(newThread.lastMessageId) : 0,
+            oldThread.archiveTimestamp || 0,
+            newThread.createdTimestamp || 0
+        );
+        if (!lastActivity) return false;
+
+        return archivedAt - lastActivity >= newThread.autoArchiveDuration * 60 * 1000 - AUTO_ARCHIVE_TOLERANCE_MS;
+    }
+
+    async handleThreadDelete(thread) {
+        const cardId = this.discordBot.findCardByThreadId(thread.id);
+        if (!cardId) return;
+
+        console.log(`🗑️ Thread ${thread.name} was deleted`);
+        await this.applyCardAction(cardId, this.threadDeletedAction);
+        this.discordBot.mappingStore.delete(thread.id);
+    }
+
+    async applyCardAction(cardId, cardAction) {
+        try {
+            if (cardAction.type === 'archive') {
+                await this.trelloHelper.updateCard(cardId, { closed: true });
+                console.log(`📦 Archived Trello card ${cardId}`);
+            } else if (cardAction.type === 'move') {
+                await this.trelloHelper.updateCard(cardId, { idList: cardAction.listId });
+                this.discordBot.mappingStore.updateByCardId(cardId, { listId: cardAction.listId });
+                console.log(`🔄 Moved Trello card ${cardId} to list ${cardAction.listId}`);
+            }
+        } catch (error) {
+            console.error(`Error applying lifecycle action to card ${cardId}:`, error.message);
+        }
+    }
+
+    // The thread action a Trello card action triggers, "none" when it does not close the thread
+    getThreadActionFor(action) {
+        if (action.type !== 'updateCard') return 'none';
+
+        const movedToDone = action.data?.listAfter && this.doneListIds.has(action.data.listAfter.id);
+
+        if (this.isCardClosed(action)) return this.cardClosedAction;
+        if (movedToDone) return this.cardDoneAction;
+        return 'none';
+    }
+
+    isCardClosed(action) {
+        return action.data?.old?.closed === false && action.data?.card?.closed === true;
+    }
+
+    async handleCardAction(thread, action) {
+        await this.applyThreadAction(thread, this.getThreadActionFor(action), action);
+    }
+
+    async applyThreadAction(thread, threadAction, action) {
+        if (threadAction === 'none') return;
+
+        this.pendingThreadChanges.add(thread.id);
+        try {
+            // Post before closing, a message in an archived thread would unarchive it again
+            const closingMessage = this.formatClosingMessage(action);
+            if (closingMessage && !thread.archived) {
+                await thread.send(closingMessage);
+            }
+
+            if ((threadAction === 'lock' || threadAction === 'lock_archive') && !thread.locked) {
+                await thread.setLocked(true, 'Trello card completed');
+            }
+
+            if ((threadAction === 'archive' || threadAction === 'lock_archive') && !thread.archived) {
+                await thread.setArchived(true, 'Trello card completed');
+            }
+
+            console.log(`📦 Applied "${threadAction}" to thread ${thread.name} after Trello update`);
+        } catch (error) {
+            console.error(`Error applying lifecycle action to thread ${thread.name}:`, error.message);
+        } finally {
+            // Gateway ThreadUpdate events arrive shortly after the REST call returns
+            setTimeout(() => this.pendingThreadChanges.delete(thread.id), 5000);
+        }
+    }
+
+    // Archived cards get their own message, they have no list to fill {list} with
+    formatClosingMessage(action) {
+        const cardName = action.data?.card?.name || 'this card';
+        if (this.isCardClosed(action)) {
+            return this.cardArchivedMessage.replace(/\{card\}/g, cardName);
+        }
+
+        const listName = action.data?.listAfter?.name || '';
+        return this.closingMessage
+            .replace(/\{card\}/g, cardName)
+            .replace(/\{list\}/g, listName);
+    }
+}
+
+module.exports = ThreadLifecycle;
@@ -0,0 +1,77 @@
+// Keeps the history of the most recently active threads, the least recently used one is dropped first and reloaded when needed
+class ThreadMessageCache {
+    constructor(fetchAllMessages, maxThreads = 100) {
+        this.fetchAllMessages = fetchAllMessages;
+        this.maxThreads = maxThreads;
+        this.threads = new Map(); // threadId -> { messages: Map(messageId -> message), loaded, loading }, oldest use first
+    }
+
+    getEntry(threadId) {
+        let entry = this.threads.get(threadId);
+        if (entry) {
+            this.threads.delete(threadId);
+        } else {
+            entry = { messages: new Map(), loaded: false, loading: null };
+        }
+        this.threads.set(threadId, entry);
+
+        while (this.threads.size > this.maxThreads) {
+            this.threads.delete(this.threads.keys().next().value);
+        }
+        return entry;
+    }
+
+    // The full history is fetched once per thread, gateway events keep it current afterwards
+    async getMessages(thread) {
+        const entry = this.getEntry(thread.id);
+
+        if (!entry.loaded) {
+            if (!entry.loading) {
+                entry.loading = this.load(thread, entry);
+            }
+            await entry.loading;
+        }
+
+        return Array.from(entry.messages.values())
+            .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    }
+
+    async load(thread, entry) {
+        try {
+            const fetched = await this.fetchAllMessages(thread);
+
+            // Events that arrived while fetching are newer than the fetched copies, keep them
+            for (const message of fetched) {
+                if (!entry.messages.has(message.id)) {
+                    entry.messages.set(message.id, message);
+                }
+            }
+
+            entry.loaded = true;
+            console.log(`🗃️ Cached ${entry.messages.size} messages for thread ${thread.name}`);
+        } finally {
+            entry.loading = null;
+        }
+    }
+
+    upsert(message) {
+        if (message.author?.bot) return;
+        this.getEntry(message.channel.id).messages.set(message.id, message);
+    }
+
+    get(threadId, messageId) {
+        const entry = this.threads.get(threadId);
+        return entry ? entry.messages.get(messageId) || null : null;
+    }
+
+    remove(threadId, messageId) {
+        const entry = this.threads.get(threadId);
+        return entry ? entry.messages.delete(messageId) : false;
+    }
+
+    evict(threadId) {
+        this.threads.delete(threadId);
+    }
+}
+
+module.exports = ThreadMessageCache;
@@ -0,0 +1,55 @@
+class TrelloError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status || null;
+        this.method = details.method || null;
+        this.path = details.path || null;
+        this.responseText = details.responseText || '';
+    }
+}
+
+// 401 and 403: invalid or expired key/token, or the token cannot access the board
+class TrelloAuthError extends TrelloError {}
+
+// 404: the card, list, board or action no longer exists
+class TrelloNotFoundError extends TrelloError {}
+
+// 429 that was still rejected after the scheduler's retries
+class TrelloRateLimitError extends TrelloError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter || null;
+    }
+}
+
+// 400 and 422: Trello rejected the request parameters
+class TrelloValidationError extends TrelloError {}
+
+async function createTrelloError(response, method, path) {
+    const responseText = await response.text().catch(() => '');
+    const details = {
+        status: response.status,
+        method,
+        path,
+        responseText,
+        retryAfter: response.headers && response.headers.get('retry-after')
+    };
+    // The URL is left out on purpose, it carries the API key and token
+    const message = `Trello ${method} ${path} failed with status ${response.status}: ${responseText}`;
+
+    if (response.status === 401 || response.status === 403) return new TrelloAuthError(message, details);
+    if (response.status === 404) return new TrelloNotFoundError(message, details);
+    if (response.status === 429) return new TrelloRateLimitError(message, details);
+    if (response.status === 400 || response.status === 422) return new TrelloValidationError(message, details);
+    return new TrelloError(message, details);
+}
+
+module.exports = {
+    TrelloError,
+    TrelloAuthError,
+    TrelloNotFoundError,
+    TrelloRateLimitError,
+    TrelloValidationError,
+    createTrelloError
+};
@@ -1,333 +1,361 @@
-const Trello = require('trello-node-api');
 const fetch = require('node-fetch');
+const FormData = require('form-data');
+const TrelloRequestScheduler = require('./trello-request-scheduler');
+const { TrelloError, createTrelloError } = require('./trello-errors');
 
-class TrelloHelper extends Trello {
-    constructor(key, token) {
-        super(key, token);
+const UPLOAD_TIMEOUT_MS = 60000;
+const ACTIONS_PAGE_SIZE = 1000; // Trello's maximum
+const NETWORK_RETRIES = 3;
+
+class TrelloHelper {
+    constructor(key, token, options = {}) {
         this.apiKey = key;
         this.apiToken = token;
-        console.log('DEBUG - Key being used:', key);
-        console.log('DEBUG - Token being used:', token);
-        console.log('DEBUG - Key length:', key ? key.length : 'undefined');
-        console.log('DEBUG - Token length:', token ? token.length : 'undefined');
-        this._overrideMethods();
-    }
-
-    _overrideMethods() {
-        const originalCard = this.card;
-        
-        originalCard.create = async (cardData) => {
-            return this._retryRequest(async () => {
-                console.log('Creating card with manual implementation...');
-                console.log('DEBUG - Sending key:', this.apiKey);
-                console.log('DEBUG - Sending token:', this.apiToken);
-
-                const formData = new URLSearchParams();
-                formData.append('key', this.apiKey);
-                formData.append('token', this.apiToken);
-                formData.append('idList', cardData.idList);
-                formData.append('name', cardData.name);
-                
-                if (cardData.desc) {
-                    formData.append('desc', cardData.desc);
-                }
-                if (cardData.pos) {
-                    formData.append('pos', cardData.pos);
-                }
+        this.baseUrl = (options.baseUrl || process.env.TRELLO_API_BASE_URL || 'https://api.trello.com/1').replace(/\/+$/, '');
+        this.timeout = options.timeout || parseInt(process.env.TRELLO_REQUEST_TIMEOUT_MS) || 15000;
+        this.scheduler = new TrelloRequestScheduler({
+            maxConcurrent: parseInt(process.env.TRELLO_MAX_CONCURRENT_REQUESTS) || 5,
+            maxRetries: parseInt(process.env.TRELLO_MAX_RETRIES) || 4,
+            perKeyLimit: parseInt(process.env.TRELLO_RATE_LIMIT_PER_KEY) || 300,
+            perTokenLimit: parseInt(process.env.TRELLO_RATE_LIMIT_PER_TOKEN) || 100
+        });
 
-                console.log('DEBUG - Form data:', formData.toString());
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-
-                try {
-                    const response = await fetch('https://api.trello.com/1/cards', {
-                        method: 'POST',
-                        body: formData,
-                        signal: controller.signal,
-                        headers: {
-                            'Connection': 'keep-alive'
-                        }
-                    });
-
-                    clearTimeout(timeoutId);
-
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        console.error(`Trello API Error: ${response.status} - ${errorText}`);
-                        throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                    }
-
-                    const result = await response.json();
-                    console.log('Card created successfully:', result.id);
-                    return result;
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    throw error;
-                }
-            });
-        };
+        if (!key || !token) {
+            console.error('❌ TRELLO_KEY or TRELLO_TOKEN is not set, Trello requests will fail');
+        }
+    }
 
-        originalCard.update = async (cardId, updateData) => {
-            return this._retryRequest(async () => {
-                const formData = new URLSearchParams();
-                formData.append('key', this.apiKey);
-                formData.append('token', this.apiToken);
-                
-                Object.keys(updateData).forEach(key => {
-                    formData.append(key, updateData[key]);
-                });
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-                try {
-                    const response = await fetch(`https://api.trello.com/1/cards/${cardId}`, {
-                        method: 'PUT',
-                        body: formData,
-                        signal: controller.signal,
-                        headers: {
-                            'Connection': 'keep-alive'
-                        }
-                    });
-
-                    clearTimeout(timeoutId);
-
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                    }
-
-                    return await response.json();
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    throw error;
-                }
-            });
-        };
+    buildUrl(path, query = {}) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        url.searchParams.set('key', this.apiKey);
+        url.searchParams.set('token', this.apiToken);
 
-        const originalBoard = this.board;
-        originalBoard.searchCards = async (boardId) => {
-            return this._retryRequest(async () => {
-                const url = `https://api.trello.com/1/boards/${boardId}/cards?key=${this.apiKey}&token=${this.apiToken}`;
-                
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-                try {
-                    const response = await fetch(url, {
-                        method: 'GET',
-                        signal: controller.signal,
-                        headers: {
-                            'Connection': 'keep-alive'
-                        }
-                    });
-
-                    clearTimeout(timeoutId);
-
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                    }
-
-                    return await response.json();
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    throw error;
-                }
-            }, []);
-        };
+        Object.entries(query).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(name, String(value));
+            }
+        });
+
+        return url.toString();
     }
 
-    async _retryRequest(requestFn, defaultReturn = null, maxRetries = 3) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Every Trello call goes through the scheduler; the timeout only starts once the request leaves the queue
+    _fetch(url, options = {}, { priority = 'sync', timeout = this.timeout } = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+
+        return this.scheduler.schedule(async () => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+
             try {
-                return await requestFn();
+                return await fetch(url, { ...options, signal: controller.signal });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }, { priority, idempotent: method !== 'POST' });
+    }
+
+    isNetworkError(error) {
+        return error.code === 'ECONNRESET' ||
+            error.code === 'ETIMEDOUT' ||
+            error.name === 'AbortError' ||
+            Boolean(error.message && error.message.includes('timeout'));
+    }
+
+    // Single request core: JSON or multipart body, typed errors and network retries.
+    // With a fallback, failures are logged and the fallback is returned instead of thrown.
+    async request(method, path, { query, body, form, priority, timeout, fallback } = {}) {
+        const url = this.buildUrl(path, query);
+        const options = {
+            method,
+            headers: { 'Connection': 'keep-alive' }
+        };
+
+        if (form) {
+            // Buffered so the scheduler can send the same body again after a rate limit
+            options.body = form.getBuffer();
+            Object.assign(options.headers, form.getHeaders());
+        } else if (body) {
+            options.body = JSON.stringify(body);
+            options.headers['Content-Type'] = 'application/json';
+        }
+
+        for (let attempt = 1; attempt <= NETWORK_RETRIES; attempt++) {
+            try {
+                const response = await this._fetch(url, options, { priority, timeout });
+                if (!response.ok) {
+                    throw await createTrelloError(response, method, path);
+                }
+
+                const text = await response.text();
+                return text ? JSON.parse(text) : null;
             } catch (error) {
-                const isRetriableError = error.code === 'ECONNRESET' || 
-                                       error.code === 'ETIMEDOUT' || 
-                                       error.name === 'AbortError' ||
-                                       (error.message && error.message.includes('timeout'));
-
-                if (isRetriableError && attempt < maxRetries) {
-                    const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
-                    console.log(`⚠️ Attempt ${attempt} failed with ${error.code || error.name}, retrying in ${delay}ms...`);
+                if (this.isNetworkError(error) && attempt < NETWORK_RETRIES) {
+                    const delay = Math.pow(2, attempt) * 1000;
+                    console.log(`⚠️ Trello ${method} ${path} attempt ${attempt} failed with ${error.code || error.name}, retrying in ${delay}ms...`);
                     await new Promise(resolve => setTimeout(resolve, delay));
                     continue;
                 }
-                
-                console.error('Request failed after all retries:', error);
-                if (defaultReturn !== null) {
-                    return defaultReturn;
+
+                if (fallback !== undefined) {
+                    console.error(error instanceof TrelloError ? error.message : `Trello ${method} ${path} failed: ${error.message}`);
+                    return fallback;
                 }
                 throw error;
             }
         }
     }
 
-    async addAttachment(cardId, attachmentData) {
-        return this._retryRequest(async () => {
-            const formData = new URLSearchParams();
-            formData.append('key', this.apiKey);
-            formData.append('token', this.apiToken);
-            formData.append('url', attachmentData.url);
-            formData.append('name', attachmentData.name);
+    // Cards
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
+    async createCard(cardData) {
+        return this.request('POST', '/cards', { body: cardData });
+    }
 
-            try {
-                const response = await fetch(`https://api.trello.com/1/cards/${cardId}/attachments`, {
-                    method: 'POST',
-                    body: formData,
-                    signal: controller.signal,
-                    headers: {
-                        'Connection': 'keep-alive'
-                    }
-                });
+    async updateCard(cardId, fields) {
+        return this.request('PUT', `/cards/${cardId}`, { body: fields });
+    }
 
-                clearTimeout(timeoutId);
+    async getCard(cardId, fields = 'all', extraParams = {}) {
+        return this.request('GET', `/cards/${cardId}`, { query: { fields, ...extraParams } });
+    }
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                }
+    async deleteCard(cardId) {
+        return this.request('DELETE', `/cards/${cardId}`);
+    }
 
-                return await response.json();
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
+    async getCardActions(cardId, since = null) {
+        return this.request('GET', `/cards/${cardId}/actions`, {
+            query: { limit: 50, since },
+            fallback: []
         });
     }
 
-    async searchAttachments(cardId) {
-        return this._retryRequest(async () => {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
+    // Attachments
 
-            try {
-                const response = await fetch(`https://api.trello.com/1/cards/${cardId}/attachments?key=${this.apiKey}&token=${this.apiToken}`, {
-                    signal: controller.signal,
-                    headers: {
-                        'Connection': 'keep-alive'
-                    }
-                });
+    async addAttachment(cardId, attachmentData) {
+        return this.request('POST', `/cards/${cardId}/attachments`, {
+            body: { url: attachmentData.url, name: attachmentData.name }
+        });
+    }
 
-                clearTimeout(timeoutId);
+    async uploadAttachment(cardId, fileData) {
+        const form = new FormData();
+        form.append('name', fileData.name);
+        if (fileData.mimeType) {
+            form.append('mimeType', fileData.mimeType);
+        }
+        form.append('file', fileData.buffer, {
+            filename: fileData.name,
+            contentType: fileData.mimeType || 'application/octet-stream'
+        });
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                }
+        return this.request('POST', `/cards/${cardId}/attachments`, { form, timeout: UPLOAD_TIMEOUT_MS });
+    }
 
-                return await response.json();
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
-        }, []);
+    async searchAttachments(cardId) {
+        return this.request('GET', `/cards/${cardId}/attachments`, { fallback: [] });
+    }
+
+    async deleteAttachment(cardId, attachmentId) {
+        return this.request('DELETE', `/cards/${cardId}/attachments/${attachmentId}`);
     }
 
+    // Comments
+
     async addComment(cardId, text) {
-        return this._retryRequest(async () => {
-            const formData = new URLSearchParams();
-            formData.append('key', this.apiKey);
-            formData.append('token', this.apiToken);
-            formData.append('text', text);
+        return this.request('POST', `/cards/${cardId}/actions/comments`, { body: { text } });
+    }
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
+    async getCardComments(cardId) {
+        return this.request('GET', `/cards/${cardId}/actions`, {
+            query: { filter: 'commentCard', limit: 1000 },
+            fallback: []
+        });
+    }
 
-            try {
-                const response = await fetch(`https://api.trello.com/1/cards/${cardId}/actions/comments`, {
-                    method: 'POST',
-                    body: formData,
-                    signal: controller.signal,
-                    headers: {
-                        'Connection': 'keep-alive'
-                    }
-                });
+    async deleteComment(actionId) {
+        return this.request('DELETE', `/actions/${actionId}`);
+    }
 
-                clearTimeout(timeoutId);
+    // Boards
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                }
+    async getBoardCards(boardId, options = {}) {
+        const query = options.attachments
+            ? { attachments: true, attachment_fields: 'id,name,url' }
+            : {};
+        return this.request('GET', `/boards/${boardId}/cards`, { query, fallback: [] });
+    }
 
-                return await response.json();
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
+    // since and before accept a date or an action ID; no fallback, a failed page must not look like "no actions"
+    async getBoardActions(boardId, { since = null, before = null, limit = 50 } = {}) {
+        return this.request('GET', `/boards/${boardId}/actions`, {
+            query: { limit, since, before },
+            priority: 'poll'
         });
     }
 
-    async getBoardActions(boardId, since = null) {
-        return this._retryRequest(async () => {
-            let url = `https://api.trello.com/1/boards/${boardId}/actions?key=${this.apiKey}&token=${this.apiToken}&limit=50`;
-            if (since) {
-                url += `&since=${since}`;
-            }
+    // Trello returns actions newest first, older pages are requested with before until one comes back short
+    async getAllBoardActions(boardId, since) {
+        const actions = [];
+        let before = null;
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
+        while (true) {
+            const page = await this.getBoardActions(boardId, { since, before, limit: ACTIONS_PAGE_SIZE });
+            actions.push(...page);
 
-            try {
-                const response = await fetch(url, {
-                    signal: controller.signal,
-                    headers: {
-                        'Connection': 'keep-alive'
-                    }
-                });
+            if (page.length < ACTIONS_PAGE_SIZE) break;
+            before = page[page.length - 1].id;
+            console.log(`📄 Board ${boardId} has more than ${actions.length} new actions, fetching the next page`);
+        }
 
-                clearTimeout(timeoutId);
+        return actions;
+    }
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                }
+    // Lists
 
-                return await response.json();
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
-        }, []);
+    async getBoardLists(boardId) {
+        return this.request('GET', `/boards/${boardId}/lists`, {
+            query: { filter: 'open', fields: 'id,name' },
+            fallback: []
+        });
     }
 
-    async getCardActions(cardId, since = null) {
-        return this._retryRequest(async () => {
-            let url = `https://api.trello.com/1/cards/${cardId}/actions?key=${this.apiKey}&token=${this.apiToken}&limit=50`;
-            if (since) {
-                url += `&since=${since}`;
-            }
+    async getList(listId) {
+        return this.request('GET', `/lists/${listId}`, { query: { fields: 'id,name,idBoard,closed' } });
+    }
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
+    async getListCards(listId) {
+        return this.request('GET', `/lists/${listId}/cards`, { fallback: [] });
+    }
 
-            try {
-                const response = await fetch(url, {
-                    signal: controller.signal,
-                    headers: {
-                        'Connection': 'keep-alive'
-                    }
-                });
+    async createList(boardId, name, pos = 'bottom') {
+        return this.request('POST', '/lists', { body: { idBoard: boardId, name, pos } });
+    }
 
-                clearTimeout(timeoutId);
+    // Labels
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-                }
+    async getBoardLabels(boardId) {
+        return this.request('GET', `/boards/${boardId}/labels`, { query: { limit: 1000 }, fallback: [] });
+    }
 
-                return await response.json();
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
-        }, []);
+    async createLabel(boardId, name, color = null) {
+        return this.request('POST', '/labels', { body: { idBoard: boardId, name, color } });
+    }
+
+    async addLabelToCard(cardId, labelId) {
+        return this.request('POST', `/cards/${cardId}/idLabels`, { body: { value: labelId } });
+    }
+
+    async removeLabelFromCard(cardId, labelId) {
+        return this.request('DELETE', `/cards/${cardId}/idLabels/${labelId}`);
+    }
+
+    // Members
+
+    async getMember(memberIdOrUsername = 'me', fields = 'id,username,fullName,avatarUrl') {
+        return this.request('GET', `/members/${memberIdOrUsername}`, {
+            query: { fields }
+        });
+    }
+
+    async getBoardMembers(boardId) {
+        return this.request('GET', `/boards/${boardId}/members`, {
+            query: { fields: 'id,username,fullName' },
+            fallback: []
+        });
+    }
+
+    async addMemberToCard(cardId, memberId) {
+        return this.request('POST', `/cards/${cardId}/idMembers`, { body: { value: memberId } });
+    }
+
+    async removeMemberFromCard(cardId, memberId) {
+        return this.request('DELETE', `/cards/${cardId}/idMembers/${memberId}`);
+    }
+
+    // Checklists
+
+    async getCardChecklists(cardId) {
+        return this.request('GET', `/cards/${cardId}/checklists`, { fallback: [] });
+    }
+
+    async createChecklist(cardId, name) {
+        return this.request('POST', '/checklists', { body: { idCard: cardId, name } });
+    }
+
+    async addChecklistItem(checklistId, name, options = {}) {
+        return this.request('POST', `/checklists/${checklistId}/checkItems`, {
+            body: { name, pos: options.pos || 'bottom', checked: Boolean(options.checked) }
+        });
+    }
+
+    async updateChecklistItem(cardId, checkItemId, fields) {
+        return this.request('PUT', `/cards/${cardId}/checkItem/${checkItemId}`, { body: fields });
+    }
+
+    async deleteChecklistItem(checklistId, checkItemId) {
+        return this.request('DELETE', `/checklists/${checklistId}/checkItems/${checkItemId}`);
+    }
+
+    // Custom fields
+
+    async getBoardCustomFields(boardId) {
+        return this.request('GET', `/boards/${boardId}/customFields`, { fallback: [] });
+    }
+
+    async getCardCustomFieldItems(cardId) {
+        return this.request('GET', `/cards/${cardId}/customFieldItems`, { fallback: [] });
+    }
+
+    // item is { value: { text: 'abc' } }, { value: { number: '3' } } etc., or { idValue } for list fields
+    async setCardCustomField(cardId, customFieldId, item) {
+        return this.request('PUT', `/cards/${cardId}/customField/${customFieldId}/item`, { body: item });
+    }
+
+    // Webhooks
+
+    async getWebhooks() {
+        return this.request('GET', `/tokens/${this.apiToken}/webhooks`, { fallback: [] });
+    }
+
+    async createWebhook(callbackURL, idModel, description = 'Discord-Trello Sync') {
+        return this.request('POST', '/webhooks', { body: { callbackURL, idModel, description } });
+    }
+
+    async deleteWebhook(webhookId) {
+        return this.request('DELETE', `/webhooks/${webhookId}`);
+    }
+
+    async ensureWebhook(callbackURL, idModel) {
+        const webhooks = await this.getWebhooks();
+        const existing = webhooks.find(webhook =>
+            webhook.callbackURL === callbackURL && webhook.idModel === idModel
+        );
+
+        if (existing) {
+            console.log(`🪝 Trello webhook already registered for ${idModel} (ID: ${existing.id})`);
+            return existing;
+        }
+
+        // Trello sends a HEAD request to the callback URL and only creates the webhook if it answers 200
+        const webhook = await this.createWebhook(callbackURL, idModel);
+        console.log(`🪝 Registered Trello webhook for ${idModel} (ID: ${webhook.id})`);
+        return webhook;
+    }
+
+    async removeWebhooks(callbackURL, idModel) {
+        const webhooks = await this.getWebhooks();
+        const matching = webhooks.filter(webhook =>
+            webhook.callbackURL === callbackURL && webhook.idModel === idModel
+        );
+
+        for (const webhook of matching) {
+            await this.deleteWebhook(webhook.id);
+            console.log(`🪝 Removed Trello webhook ${webhook.id} for ${idModel}`);
+        }
+
+        return matching.length;
     }
 }
 
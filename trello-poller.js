@@ -1,31 +1,62 @@
+const path = require('path');
+const ActionCursorStore = require('./action-cursor-store');
+const NotificationLog = require('./notification-log');
+const NotificationDigest = require('./notification-digest');
+const NotificationFormatter = require('./notification-formatter');
+
+const DEFAULT_DIGEST_CATEGORIES = 'labels,checklists,members,due_dates,attachments,custom_fields';
+const MAX_ACTION_ATTEMPTS = 5; // a failing action is skipped after this many tries so it can't hold a board back forever
+
 class TrelloPoller {
     constructor(discordBot, trelloHelper, intervalSeconds = 60) {
         this.discordBot = discordBot;
         this.trelloHelper = trelloHelper;
         this.intervalSeconds = intervalSeconds;
-        this.lastCheckTime = new Date();
+        this.cursorStore = new ActionCursorStore(path.join(discordBot.dataDir, 'trello-cursor.json'));
+        this.notificationLog = new NotificationLog(
+            path.join(discordBot.dataDir, 'notifications.json'),
+            parseInt(process.env.NOTIFICATION_LOG_RETENTION_DAYS) || 30
+        );
+        this.formatter = new NotificationFormatter(discordBot, trelloHelper);
+        this.botMemberId = null; // the Trello member behind TRELLO_TOKEN, resolved on first use
+        this.digest = new NotificationDigest(
+            (parseInt(process.env.NOTIFICATION_DIGEST_SECONDS) || 15) * 1000,
+            (thread, cardId, entries) => this.postNotifications(thread, cardId, entries)
+        );
+        // Categories listed here wait for the card's digest, everything else is posted immediately
+        this.digestCategories = this.parseDigestCategories(process.env.NOTIFICATION_DIGEST_CATEGORIES || DEFAULT_DIGEST_CATEGORIES);
+        // Thread creators get a DM when their card reaches one of these lists, unless they unsubscribed
+        this.creatorDmListIds = this.parseListIds(process.env.CREATOR_DM_LIST_IDS || process.env.TRELLO_DONE_LIST_IDS);
         this.pollingInterval = null;
         this.isPolling = false;
+        this.isChecking = false;
         this.maxLookbackHours = parseInt(process.env.MAX_LOOKBACK_HOURS) || 24;
         this.consecutiveErrors = 0;
         this.maxConsecutiveErrors = 5;
         
-        // Simplified and more reliable tracking
-        this.processedActions = new Set(); // Only track Trello action IDs
-        this.sentNotifications = new Map(); // cardId -> Set of notification content hashes
+        this.processedActions = new Set(); // Trello action IDs handled since startup
+        this.inFlightActions = new Set(); // actions being handled right now, by polling or by webhook
+        this.actionAttempts = new Map(); // action ID -> failed attempts so far
+        this.blockedBoards = new Set(); // boards whose cursor waits for a failed action to be retried
+        // Boards whose downtime has not been fetched yet. Webhook actions can arrive before that first check,
+        // they are handled but must not move the cursor past the actions still to be caught up on.
+        this.catchingUpBoards = new Set(discordBot.routing.getBoardIds());
+        this.retryTimeout = null;
     }
 
-    start() {
+    start(options = {}) {
         if (this.isPolling) return;
+
+        if (options.polling === false) {
+            // Webhooks deliver new actions, a single check catches up on anything missed while offline
+            console.log('🪝 Trello actions arrive via webhook, polling disabled');
+            this.checkForUpdates();
+            return;
+        }
+
         console.log(`🔄 Starting Trello polling every ${this.intervalSeconds} seconds`);
         this.isPolling = true;
         
-        // Load existing notifications efficiently
-        this.loadExistingNotifications();
-        
-        // Shorter lookback to prevent spam on startup
-        this.lastCheckTime = new Date(Date.now() - (30 * 60 * 1000)); // Only 30 minutes lookback
-        
         this.pollingInterval = setInterval(async () => {
             await this.checkForUpdates();
         }, this.intervalSeconds * 1000);
@@ -34,173 +65,377 @@ class TrelloPoller {
         this.checkForUpdates();
     }
 
-    stop() {
+    async stop() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+
         if (this.pollingInterval) {
             clearInterval(this.pollingInterval);
             this.pollingInterval = null;
             this.isPolling = false;
             console.log('🔄 Stopped Trello polling');
         }
+
+        // Queued digests belong to actions the cursor has already moved past
+        await this.digest.flushAll();
+        this.cursorStore.save();
+        this.notificationLog.save();
     }
 
-    async loadExistingNotifications() {
-        try {
-            console.log('🔍 Loading existing notifications to prevent duplicates...');
-            
-            // Get all threads that have linked cards
-            const cardThreadPairs = Array.from(this.discordBot.cardThreadMap.entries());
-            let totalNotifications = 0;
-            
-            for (const [cardId, threadId] of cardThreadPairs) {
-                try {
-                    const thread = await this.discordBot.client.channels.fetch(threadId);
-                    if (!thread) continue;
-                    
-                    const notificationCount = await this.scanThreadNotifications(thread, cardId);
-                    totalNotifications += notificationCount;
-                } catch (error) {
-                    console.error(`Error scanning thread ${threadId}:`, error.message);
-                }
-            }
-            
-            console.log(`📊 Loaded ${totalNotifications} existing notifications from ${cardThreadPairs.length} threads`);
-        } catch (error) {
-            console.error('Error loading existing notifications:', error);
-        }
+    parseListIds(value) {
+        if (!value || value.trim() === 'none') return new Set();
+        return new Set(value.split(',').map(id => id.trim()).filter(Boolean));
     }
 
-    async scanThreadNotifications(thread, cardId) {
-        try {
-            // Fetch recent messages (last 100 to be thorough)
-            const messages = await thread.messages.fetch({ limit: 100 });
-            
-            const botMessages = messages.filter(msg =>
-                msg.author.bot &&
-                msg.embeds.length > 0 &&
-                msg.embeds[0].footer?.text === 'Trello'
-            );
-
-            if (!this.sentNotifications.has(cardId)) {
-                this.sentNotifications.set(cardId, new Set());
-            }
+    parseDigestCategories(value) {
+        const categories = new Set();
+        if (value.trim() === 'none') return categories;
 
-            let notificationCount = 0;
-            for (const message of botMessages.values()) {
-                const embed = message.embeds[0];
-                const contentHash = this.createContentHash(embed);
-                
-                this.sentNotifications.get(cardId).add(contentHash);
-                notificationCount++;
+        const knownCategories = NotificationFormatter.getCategories();
+        value.split(',').map(category => category.trim()).filter(Boolean).forEach(category => {
+            if (!knownCategories.includes(category)) {
+                console.log(`⚠️ Unknown notification digest category "${category}", expected one of ${knownCategories.join(', ')}`);
+                return;
             }
-            
-            return notificationCount;
-        } catch (error) {
-            console.error(`Error scanning notifications for thread ${thread.name}:`, error.message);
-            return 0;
-        }
+            categories.add(category);
+        });
+        return categories;
     }
 
-    createContentHash(embed) {
-        // Create a simple content-based hash for duplicate detection
-        const content = `${embed.title}:${embed.description}`;
-        return this.simpleHash(content);
-    }
+    // Resume right after the last processed action, but never further back than MAX_LOOKBACK_HOURS
+    getCatchUpStart(boardId) {
+        const lookbackStart = new Date(Date.now() - this.maxLookbackHours * 60 * 60 * 1000);
+        const cursor = this.cursorStore.get(boardId);
 
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+        if (cursor && new Date(cursor.date) >= lookbackStart) {
+            return cursor.actionId;
         }
-        return hash.toString();
+        return lookbackStart.toISOString();
     }
 
     async checkForUpdates() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+
         try {
-            const since = this.lastCheckTime.toISOString();
-            const actions = await this.trelloHelper.getBoardActions(process.env.TRELLO_BOARD_ID, since);
-            
+            for (const boardId of this.discordBot.routing.getBoardIds()) {
+                await this.checkBoard(boardId);
+            }
             this.consecutiveErrors = 0;
-            console.log(`📊 Found ${actions.length} actions since ${since}`);
+        } catch (error) {
+            this.handlePollingError(error);
+            this.scheduleRetry();
+        } finally {
+            this.isChecking = false;
+        }
+    }
 
-            // Primary filter: Only use action IDs for duplicate detection
-            const newActions = actions.filter(action => {
-                return !this.processedActions.has(action.id);
-            });
-            
-            console.log(`📊 ${newActions.length} new actions to process`);
+    async checkBoard(boardId) {
+        const since = this.getCatchUpStart(boardId);
+        const actions = await this.trelloHelper.getAllBoardActions(boardId, since);
 
-            if (newActions.length === 0) {
-                this.lastCheckTime = new Date();
-                return;
-            }
+        // Primary filter: Only use action IDs for duplicate detection
+        const newActions = actions.filter(action => !this.processedActions.has(action.id));
+        if (newActions.length > 0) {
+            console.log(`📊 ${newActions.length} new actions on board ${boardId} since ${since}`);
+        }
 
-            const sortedActions = newActions.sort((a, b) => new Date(a.date) - new Date(b.date));
-            
-            for (const action of sortedActions) {
-                const success = await this.processAction(action);
-                if (success) {
-                    this.processedActions.add(action.id);
-                }
-                
-                // Add delay between notifications
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
+        const sortedActions = newActions.sort((a, b) => new Date(a.date) - new Date(b.date));
 
-            // Cleanup old data
-            this.cleanupOldData();
-            this.lastCheckTime = new Date();
+        // Bursts on one card are coalesced by the digest, discord.js paces whatever is left.
+        // After a failure the rest waits, the next check fetches them again from the unchanged cursor.
+        this.blockedBoards.delete(boardId);
+        for (const action of sortedActions) {
+            await this.handleAction(action, boardId, { inOrder: true });
+            if (this.blockedBoards.has(boardId)) return;
+        }
+        this.catchingUpBoards.delete(boardId);
+    }
 
+    // Shared entry point for polled and webhook-delivered actions, inOrder when every earlier action on the board was handled first
+    async handleAction(action, boardId = action.data?.board?.id, { inOrder = false } = {}) {
+        if (this.processedActions.has(action.id) || this.inFlightActions.has(action.id)) {
+            return false;
+        }
+
+        this.inFlightActions.add(action.id);
+        try {
+            const success = await this.processAction(action);
+            this.markProcessed(action, boardId, inOrder);
+            return success;
         } catch (error) {
-            this.handlePollingError(error);
+            const attempts = (this.actionAttempts.get(action.id) || 0) + 1;
+            if (!this.isRetryable(error) || attempts >= MAX_ACTION_ATTEMPTS) {
+                console.error(`Error processing action ${action.id}, skipping it after ${attempts} attempt(s):`, error.message);
+                this.markProcessed(action, boardId, inOrder);
+                return false;
+            }
+
+            console.warn(`⚠️ Error processing action ${action.id} (attempt ${attempts}/${MAX_ACTION_ATTEMPTS}), retrying on the next check:`, error.message);
+            this.actionAttempts.set(action.id, attempts);
+            this.blockedBoards.add(boardId);
+            this.scheduleRetry();
+            return false;
+        } finally {
+            this.inFlightActions.delete(action.id);
         }
     }
 
+    // The cursor only moves while every earlier action on the board has been handled
+    markProcessed(action, boardId, inOrder) {
+        this.processedActions.add(action.id);
+        this.actionAttempts.delete(action.id);
+        if (!this.blockedBoards.has(boardId) && (inOrder || !this.catchingUpBoards.has(boardId))) {
+            this.cursorStore.advance(boardId, action);
+        }
+        this.cleanupOldData();
+    }
+
+    // Network errors, rate limits and server errors are worth another try, a deleted thread or missing permission is not
+    isRetryable(error) {
+        const status = error.status || error.httpStatus;
+        return !status || status === 429 || status >= 500;
+    }
+
+    // Polling retries on its next tick anyway, webhook mode has no tick and needs a one-off check
+    scheduleRetry() {
+        if (this.pollingInterval || this.retryTimeout) return;
+
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            this.checkForUpdates();
+        }, this.intervalSeconds * 1000);
+    }
+
     async processAction(action) {
         const cardId = action.data?.card?.id;
         if (!cardId) return false;
 
         const threadId = this.discordBot.findThreadByCardId(cardId);
         if (!threadId) {
+            if (await this.discordBot.cardPublisher.handleAction(action)) return true;
             console.log(`No Discord thread found for Trello card: ${cardId}`);
             return false;
         }
 
-        try {
-            const thread = await this.discordBot.client.channels.fetch(threadId);
-            if (!thread) return false;
-
-            const embed = this.formatNotificationEmbed(action);
-            if (!embed) return false;
-
-            // Secondary check: Only check for content duplicates if we have existing notifications
-            if (this.sentNotifications.has(cardId)) {
-                const contentHash = this.createContentHash(embed);
-                if (this.sentNotifications.get(cardId).has(contentHash)) {
-                    console.log(`📢 Skipping content duplicate for action ${action.id} on card ${cardId}`);
-                    return false;
-                }
+        this.updateStoredMapping(action, cardId);
+        if ((action.type === 'addAttachmentToCard' || action.type === 'deleteAttachmentFromCard') &&
+            action.memberCreator?.id !== await this.getBotMemberId()) {
+            // The bot's own attachment changes are already in its cached list, anyone else's make it stale
+            this.discordBot.forgetCardAttachments(cardId);
+        }
+        if (action.type === 'deleteCard') {
+            return true;
+        }
+
+        // Failures propagate, handleAction retries the action instead of moving past it
+        const thread = await this.discordBot.client.channels.fetch(threadId);
+        if (!thread) return false;
+
+        // Comments are posted as the Trello member instead of a generic notification embed
+        if (action.type === 'commentCard') {
+            if (process.env.NOTIFY_COMMENT_CHANGES !== 'true') return false;
+            if (this.notificationLog.has(action.id)) return false;
+
+            await this.digest.flush(cardId);
+            const commentSync = this.discordBot.commentSync;
+            if (!commentSync.isMirroredComment(action) && (action.data?.text || '').trim()) {
+                await this.sendDirectMessages(thread, cardId, [{
+                    action,
+                    category: 'comments',
+                    embed: commentSync.buildTrelloCommentEmbed(action)
+                }]);
             }
+            if (!this.discordBot.subscriptions.allowsThread(thread.id, 'comments')) return false;
 
-            // Send notification
-            await thread.send({ embeds: [embed] });
-            
-            // Cache this notification content
-            if (!this.sentNotifications.has(cardId)) {
-                this.sentNotifications.set(cardId, new Set());
+            const message = await commentSync.mirrorTrelloComment(thread, action);
+            if (message) {
+                this.notificationLog.record(action.id, message, { cardId });
             }
-            
-            const contentHash = this.createContentHash(embed);
-            this.sentNotifications.get(cardId).add(contentHash);
+            return Boolean(message);
+        }
 
-            console.log(`📢 Sent notification for ${action.type} on card ${cardId} (Action ID: ${action.id})`);
-            return true;
+        // Edited comments update the message that mirrored them
+        if (action.type === 'updateComment') {
+            if (process.env.NOTIFY_COMMENT_CHANGES !== 'true') return false;
+            const entry = this.notificationLog.get(action.data?.action?.id);
+            if (!entry) return false;
+            return await this.discordBot.commentSync.editMirroredComment(thread, entry, action);
+        }
 
-        } catch (error) {
-            console.error(`Error processing action ${action.id}:`, error);
+        if (action.type === 'addLabelToCard' || action.type === 'removeLabelFromCard') {
+            await this.discordBot.tagLabelSync.handleLabelAction(thread, action);
+        }
+
+        let checklistProgress = null;
+        if (action.type === 'updateCheckItemStateOnCard' || action.type === 'createCheckItem') {
+            checklistProgress = await this.discordBot.checklistSync.getProgress(cardId, action.data?.checklist?.id);
+        }
+
+        const details = {
+            checklistProgress,
+            customFieldOptions: await this.formatter.getCustomFieldOptions(action),
+            byBot: Boolean(action.memberCreator) && action.memberCreator.id === await this.getBotMemberId()
+        };
+        const sent = await this.sendNotification(thread, cardId, action, details);
+
+        // Lifecycle changes run after the notification, posting into an archived thread would reopen it
+        if (this.discordBot.threadLifecycle.getThreadActionFor(action) !== 'none') {
+            await this.digest.flush(cardId);
+        }
+        await this.discordBot.checklistSync.handleProgress(cardId, action, checklistProgress);
+        await this.discordBot.threadLifecycle.handleCardAction(thread, action);
+        return sent;
+    }
+
+    // Idempotent: an action that already has a notification, even from before a restart, is never posted again
+    async sendNotification(thread, cardId, action, details = {}) {
+        if (this.notificationLog.has(action.id) || this.digest.has(action.id)) {
+            console.log(`📢 Notification for action ${action.id} was already sent`);
             return false;
         }
+
+        const embed = this.formatter.format(action, details);
+        if (!embed) return false;
+
+        const category = this.formatter.getCategory(action);
+        const entry = { action, embed, category, mentionedUserId: this.getAssignedDiscordUser(action) };
+        if (this.digest.isEnabled() && this.digestCategories.has(category)) {
+            this.digest.add(thread, cardId, entry);
+            console.log(`📢 Queued ${action.type} on card ${cardId} for the next digest (Action ID: ${action.id})`);
+            return true;
+        }
+
+        // Anything still waiting in the card's digest happened first
+        await this.digest.flush(cardId);
+        await this.postNotifications(thread, cardId, [entry]);
+        return true;
+    }
+
+    // A single entry is posted as its own embed, several as one digest embed.
+    // Categories the thread muted are left out of the thread but still reach DM subscribers.
+    async postNotifications(thread, cardId, entries) {
+        await this.sendDirectMessages(thread, cardId, entries);
+
+        const threadEntries = entries.filter(entry => this.discordBot.subscriptions.allowsThread(thread.id, entry.category));
+        if (threadEntries.length === 0) {
+            console.log(`🔕 Thread ${thread.name} muted ${entries.length} notification(s) on card ${cardId}`);
+            return;
+        }
+
+        const embed = this.buildEmbed(threadEntries);
+        const mentionedUserIds = [...new Set(threadEntries.map(entry => entry.mentionedUserId).filter(Boolean))];
+
+        const message = await thread.send({
+            content: mentionedUserIds.length > 0 ? mentionedUserIds.map(userId => `<@${userId}>`).join(' ') : undefined,
+            embeds: [embed],
+            allowedMentions: { users: mentionedUserIds }
+        });
+        threadEntries.forEach(entry => this.notificationLog.record(entry.action.id, message, { cardId }));
+
+        if (threadEntries.length === 1) {
+            console.log(`📢 Sent notification for ${threadEntries[0].action.type} on card ${cardId} (Action ID: ${threadEntries[0].action.id})`);
+        } else {
+            console.log(`📢 Sent digest of ${threadEntries.length} changes on card ${cardId}`);
+        }
+    }
+
+    buildEmbed(entries) {
+        return entries.length === 1 ? entries[0].embed : this.formatter.formatDigest(entries);
+    }
+
+    // Subscribers get the entries of the categories they picked; nobody is told about their own change
+    getDirectRecipients(thread, cardId, entry) {
+        const subscriptions = this.discordBot.subscriptions;
+        const recipients = new Set(subscriptions.getSubscribers(cardId, entry.category));
+
+        const listAfter = entry.action.type === 'updateCard' && entry.action.data?.listAfter;
+        if (listAfter && this.creatorDmListIds.has(listAfter.id) && thread.ownerId &&
+            !subscriptions.isUnsubscribed(cardId, thread.ownerId)) {
+            recipients.add(thread.ownerId);
+        }
+
+        const actorUserId = this.discordBot.memberIdentities.getDiscordUserId(entry.action.memberCreator?.id);
+        recipients.delete(actorUserId);
+        return recipients;
+    }
+
+    async sendDirectMessages(thread, cardId, entries) {
+        const entriesByUser = new Map();
+        for (const entry of entries) {
+            for (const userId of this.getDirectRecipients(thread, cardId, entry)) {
+                if (!entriesByUser.has(userId)) entriesByUser.set(userId, []);
+                entriesByUser.get(userId).push(entry);
+            }
+        }
+
+        for (const [userId, userEntries] of entriesByUser) {
+            try {
+                const user = await this.discordBot.client.users.fetch(userId);
+                await user.send({
+                    content: this.discordBot.localization.t('notification.direct_message', {
+                        emoji: this.formatter.emoji,
+                        thread: thread.name,
+                        url: this.discordBot.getThreadUrl(thread)
+                    }),
+                    embeds: [this.buildEmbed(userEntries)]
+                });
+                console.log(`📨 Sent ${userEntries.length} notification(s) on card ${cardId} to ${user.username} by DM`);
+            } catch (error) {
+                // Users who closed their DMs stay subscribed, they can unsubscribe in the thread
+                console.error(`Could not DM user ${userId} about card ${cardId}:`, error.message);
+            }
+        }
+    }
+
+    // Only assignments ping, and only when the Trello member is linked to a Discord user
+    getAssignedDiscordUser(action) {
+        if (action.type !== 'addMemberToCard' || process.env.MENTION_ASSIGNED_MEMBERS === 'false') return null;
+        return this.discordBot.memberIdentities.getDiscordUserId(action.data?.idMember || action.member?.id);
+    }
+
+    async getBotMemberId() {
+        if (!this.botMemberId) {
+            this.botMemberId = this.trelloHelper.getMember('me')
+                .then(member => member.id)
+                .catch(error => {
+                    console.error('Could not look up the Trello member behind TRELLO_TOKEN:', error.message);
+                    this.botMemberId = null;
+                    return null;
+                });
+        }
+        return this.botMemberId;
+    }
+
+    updateStoredMapping(action, cardId) {
+        const mappingStore = this.discordBot.mappingStore;
+
+        if (action.type === 'deleteCard') {
+            console.log(`🗺️ Card ${cardId} was deleted, removing its thread mapping`);
+            mappingStore.deleteByCardId(cardId);
+            this.discordBot.subscriptions.deleteCard(cardId);
+            return;
+        }
+
+        if (action.type === 'updateCard' && action.data?.listAfter) {
+            mappingStore.updateByCardId(cardId, { listId: action.data.listAfter.id });
+        }
+
+        if (action.type === 'moveCardToBoard' && action.data?.board?.id) {
+            mappingStore.updateByCardId(cardId, {
+                boardId: action.data.board.id,
+                listId: action.data?.list?.id || null
+            });
+        }
+
+        if (action.type === 'moveCardFromBoard' && action.data?.boardTarget?.id) {
+            mappingStore.updateByCardId(cardId, {
+                boardId: action.data.boardTarget.id,
+                listId: null
+            });
+        }
     }
 
     cleanupOldData() {
@@ -209,19 +444,6 @@ class TrelloPoller {
             const actionArray = Array.from(this.processedActions);
             this.processedActions = new Set(actionArray.slice(-2000));
         }
-
-        // Clean up sent notifications cache (keep last 100 cards)
-        if (this.sentNotifications.size > 100) {
-            const cardArray = Array.from(this.sentNotifications.keys());
-            const cardsToKeep = cardArray.slice(-100);
-            const newCache = new Map();
-            
-            cardsToKeep.forEach(cardId => {
-                newCache.set(cardId, this.sentNotifications.get(cardId));
-            });
-            
-            this.sentNotifications = newCache;
-        }
     }
 
     handlePollingError(error) {
@@ -250,136 +472,6 @@ class TrelloPoller {
             this.consecutiveErrors = 0;
         }
     }
-
-    formatNotificationEmbed(action) {
-        const cardName = action.data?.card?.name || 'Unknown Card';
-        const timestamp = new Date(action.date).toLocaleString();
-        let title, description, color;
-
-        switch (action.type) {
-            case 'addLabelToCard':
-                if (process.env.NOTIFY_LABEL_CHANGES !== 'true') return null;
-                const labelName = action.data?.label?.name || action.data?.label?.color || 'Unknown Label';
-                title = '🏷️ Label Added';
-                description = `Label **${labelName}** was added to the card`;
-                color = 0x61BD4F;
-                break;
-
-            case 'removeLabelFromCard':
-                if (process.env.NOTIFY_LABEL_CHANGES !== 'true') return null;
-                const removedLabel = action.data?.label?.name || action.data?.label?.color || 'Unknown Label';
-                title = '🏷️ Label Removed';
-                description = `Label **${removedLabel}** was removed from the card`;
-                color = 0xEB5A46;
-                break;
-
-            case 'addChecklistToCard':
-                if (process.env.NOTIFY_CHECKLIST_CHANGES !== 'true') return null;
-                const checklistName = action.data?.checklist?.name || 'Unknown Checklist';
-                title = '📋 Checklist Added';
-                description = `Checklist **${checklistName}** was added to the card`;
-                color = 0x0079BF;
-                break;
-
-            case 'updateCheckItemStateOnCard':
-                if (process.env.NOTIFY_CHECKLIST_CHANGES !== 'true') return null;
-                const checkItem = action.data?.checkItem?.name || 'Unknown Item';
-                const state = action.data?.checkItem?.state === 'complete' ? 'completed' : 'marked incomplete';
-                const stateEmoji = action.data?.checkItem?.state === 'complete' ? '✅' : '⬜';
-                title = `${stateEmoji} Checklist Item ${state === 'completed' ? 'Completed' : 'Updated'}`;
-                description = `Checklist item **${checkItem}** was ${state}`;
-                color = action.data?.checkItem?.state === 'complete' ? 0x61BD4F : 0xF2D600;
-                break;
-
-            case 'addMemberToCard':
-                if (process.env.NOTIFY_MEMBER_CHANGES !== 'true') return null;
-                title = '👤 Member Assigned';
-                description = 'A team member was assigned to this card';
-                color = 0x9F19CC;
-                break;
-
-            case 'removeMemberFromCard':
-                if (process.env.NOTIFY_MEMBER_CHANGES !== 'true') return null;
-                title = '👤 Member Unassigned';
-                description = 'A team member was unassigned from this card';
-                color = 0xC377E0;
-                break;
-
-            case 'updateCard':
-                // Handle due date changes
-                if (action.data?.old?.due !== undefined || action.data?.card?.due !== undefined) {
-                    if (process.env.NOTIFY_DUE_DATE_CHANGES !== 'true') return null;
-                    const oldDue = action.data?.old?.due;
-                    const newDue = action.data?.card?.due;
-
-                    if (!oldDue && newDue) {
-                        const dueDate = new Date(newDue).toLocaleDateString();
-                        title = '📅 Due Date Set';
-                        description = `Due date was set to **${dueDate}**`;
-                        color = 0xF2D600;
-                    } else if (oldDue && !newDue) {
-                        title = '📅 Due Date Removed';
-                        description = 'Due date was removed from the card';
-                        color = 0xEB5A46;
-                    } else if (oldDue && newDue && oldDue !== newDue) {
-                        const dueDate = new Date(newDue).toLocaleDateString();
-                        title = '📅 Due Date Changed';
-                        description = `Due date was updated to **${dueDate}**`;
-                        color = 0x0079BF;
-                    }
-                }
-
-                // Handle name changes
-                if (action.data?.old?.name !== undefined) {
-                    const oldName = action.data?.old?.name;
-                    title = '✏️ Card Renamed';
-                    description = `Card was renamed from **${oldName}**`;
-                    color = 0x0079BF;
-                }
-
-                // Handle list moves
-                if (action.data?.listBefore && action.data?.listAfter) {
-                    const fromList = action.data.listBefore.name;
-                    const toList = action.data.listAfter.name;
-                    title = '🔄 Card Moved';
-                    description = `Card was moved from **${fromList}** to **${toList}**`;
-                    color = 0x9F19CC;
-                }
-                break;
-
-            case 'commentCard':
-                if (process.env.NOTIFY_COMMENT_CHANGES !== 'true') return null;
-                title = '💬 New Comment';
-                description = 'A new comment was added to the card';
-                color = 0x0079BF;
-                break;
-
-            case 'moveCardToBoard':
-            case 'moveCardFromBoard':
-                const listName = action.data?.list?.name || action.data?.listAfter?.name || 'Unknown List';
-                title = '🔄 Card Moved';
-                description = `Card was moved to **${listName}**`;
-                color = 0x9F19CC;
-                break;
-
-            default:
-                return null;
-        }
-
-        if (!title) return null;
-
-        return {
-            color: color,
-            title: title,
-            description: description,
-            fields: [],
-            footer: {
-                text: 'Trello',
-                icon_url: 'https://cdn.iconscout.com/icon/free/png-256/trello-226529.png'
-            },
-            timestamp: new Date(action.date).toISOString()
-        };
-    }
 }
 
 module.exports = TrelloPoller;
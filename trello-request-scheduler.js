@@ -0,0 +1,130 @@
+// Requests are started from the highest priority queue first: polling keeps notifications
+// flowing while a large outbound sync is still working through its backlog
+const PRIORITIES = ['poll', 'sync'];
+
+class TrelloRequestScheduler {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || 5;
+        this.maxRetries = options.maxRetries || 4;
+        // Trello allows 300 requests per 10 seconds per API key and 100 per 10 seconds per token
+        this.windows = [
+            { name: 'key', max: options.perKeyLimit || 300, windowMs: 10000, timestamps: [] },
+            { name: 'token', max: options.perTokenLimit || 100, windowMs: 10000, timestamps: [] }
+        ];
+        this.queues = new Map(PRIORITIES.map(priority => [priority, []]));
+        this.active = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+    }
+
+    // task must resolve to a fetch Response; it is called again for every retry
+    schedule(task, { priority = 'sync', idempotent = true } = {}) {
+        return new Promise((resolve, reject) => {
+            const queue = this.queues.get(priority) || this.queues.get('sync');
+            queue.push({ task, idempotent, priority, attempt: 0, resolve, reject });
+            this.drain();
+        });
+    }
+
+    hasQueued() {
+        return PRIORITIES.some(priority => this.queues.get(priority).length > 0);
+    }
+
+    next() {
+        for (const priority of PRIORITIES) {
+            const queue = this.queues.get(priority);
+            if (queue.length > 0) return queue.shift();
+        }
+        return null;
+    }
+
+    requeue(job) {
+        this.queues.get(job.priority).unshift(job);
+        this.drain();
+    }
+
+    // Milliseconds until another request may start without exceeding a limit
+    getWaitTime() {
+        const now = Date.now();
+        if (this.pausedUntil > now) return this.pausedUntil - now;
+
+        let wait = 0;
+        for (const window of this.windows) {
+            window.timestamps = window.timestamps.filter(timestamp => now - timestamp < window.windowMs);
+            if (window.timestamps.length >= window.max) {
+                wait = Math.max(wait, window.timestamps[0] + window.windowMs - now);
+            }
+        }
+        return wait;
+    }
+
+    drain() {
+        if (this.timer) return;
+
+        while (this.active < this.maxConcurrent && this.hasQueued()) {
+            const wait = this.getWaitTime();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.drain();
+                }, wait);
+                return;
+            }
+
+            this.execute(this.next());
+        }
+    }
+
+    async execute(job) {
+        this.active++;
+        job.attempt++;
+        const now = Date.now();
+        this.windows.forEach(window => window.timestamps.push(now));
+
+        try {
+            const response = await job.task();
+
+            // A rate-limited request was never processed, so even a POST can be sent again
+            if (response.status === 429 && job.attempt < this.maxRetries) {
+                const delay = this.getRetryAfter(response) || this.getBackoff(job.attempt);
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                console.log(`⏳ Trello rate limit hit, pausing requests for ${Math.ceil(delay / 1000)}s`);
+                this.requeue(job);
+                return;
+            }
+
+            if (response.status >= 500 && job.idempotent && job.attempt < this.maxRetries) {
+                const delay = this.getBackoff(job.attempt);
+                console.log(`⚠️ Trello returned ${response.status}, retrying in ${delay}ms (attempt ${job.attempt}/${this.maxRetries})`);
+                setTimeout(() => this.requeue(job), delay);
+                return;
+            }
+
+            job.resolve(response);
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            this.active--;
+            this.drain();
+        }
+    }
+
+    getRetryAfter(response) {
+        const header = response.headers && response.headers.get('retry-after');
+        if (!header) return 0;
+
+        const seconds = parseFloat(header);
+        if (!isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(header);
+        return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+    }
+
+    // Exponential backoff with jitter, so concurrent retries do not all land at once
+    getBackoff(attempt) {
+        const base = Math.min(30000, 1000 * Math.pow(2, attempt - 1));
+        return Math.round(base / 2 + Math.random() * base / 2);
+    }
+}
+
+module.exports = TrelloRequestScheduler;
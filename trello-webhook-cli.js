@@ -0,0 +1,49 @@
+const path = require('path');
+const TrelloHelper = require('./trello-helper');
+const RoutingConfig = require('./routing-config');
+require('dotenv').config();
+
+// Usage: node trello-webhook-cli.js <register|unregister|list>
+async function main() {
+    const command = process.argv[2];
+    const trello = new TrelloHelper(process.env.TRELLO_KEY, process.env.TRELLO_TOKEN);
+    const callbackURL = process.env.TRELLO_WEBHOOK_CALLBACK_URL;
+    const routing = new RoutingConfig(process.env.ROUTING_CONFIG_PATH || path.join(__dirname, 'routing.json'));
+    const boardIds = routing.getBoardIds();
+
+    switch (command) {
+        case 'register':
+            if (!callbackURL) throw new Error('TRELLO_WEBHOOK_CALLBACK_URL is not set');
+            for (const boardId of boardIds) {
+                await trello.ensureWebhook(callbackURL, boardId);
+            }
+            break;
+
+        case 'unregister': {
+            if (!callbackURL) throw new Error('TRELLO_WEBHOOK_CALLBACK_URL is not set');
+            let removed = 0;
+            for (const boardId of boardIds) {
+                removed += await trello.removeWebhooks(callbackURL, boardId);
+            }
+            console.log(`🪝 Removed ${removed} webhook(s)`);
+            break;
+        }
+
+        case 'list': {
+            const webhooks = await trello.getWebhooks();
+            webhooks.forEach(webhook => {
+                console.log(`${webhook.id}  ${webhook.idModel}  ${webhook.active ? 'active' : 'inactive'}  ${webhook.callbackURL}`);
+            });
+            break;
+        }
+
+        default:
+            console.log('Usage: node trello-webhook-cli.js <register|unregister|list>');
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Webhook command failed:', error.message);
+    process.exitCode = 1;
+});
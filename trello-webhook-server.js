@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const express = require('express');
+
+class TrelloWebhookServer {
+    constructor(trelloPoller, trelloHelper, options = {}) {
+        this.trelloPoller = trelloPoller;
+        this.trelloHelper = trelloHelper;
+        this.port = options.port || 3000;
+        this.path = options.path || '/trello/webhook';
+        this.callbackURL = options.callbackURL;
+        this.appSecret = options.appSecret;
+        this.boardIds = options.boardIds || [];
+        this.autoRegister = options.autoRegister !== false;
+        this.server = null;
+        this.actionQueue = Promise.resolve();
+
+        this.app = express();
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        // Keep the raw body around, the signature is computed over the exact bytes Trello sent
+        this.app.use(this.path, express.json({
+            limit: '1mb',
+            verify: (req, res, buffer) => {
+                req.rawBody = buffer.toString('utf8');
+            }
+        }));
+
+        // Trello verifies the callback URL with a HEAD request before creating the webhook
+        this.app.head(this.path, (req, res) => {
+            res.sendStatus(200);
+        });
+
+        this.app.post(this.path, (req, res) => {
+            if (!this.verifySignature(req)) {
+                console.log('🪝 Rejected Trello webhook request with an invalid signature');
+                res.sendStatus(401);
+                return;
+            }
+
+            // Acknowledge straight away, Trello retries callbacks that take too long
+            res.sendStatus(200);
+
+            const action = req.body && req.body.action;
+            if (action && action.id) {
+                this.enqueueAction(action);
+            }
+        });
+    }
+
+    // Unsigned requests are never accepted, start() refuses to run without an app secret
+    verifySignature(req) {
+        if (!this.appSecret) {
+            return false;
+        }
+
+        const signature = req.get('x-trello-webhook');
+        if (!signature || typeof req.rawBody !== 'string') {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha1', this.appSecret)
+            .update(req.rawBody + this.callbackURL)
+            .digest('base64');
+
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(signature);
+        return expectedBuffer.length === signatureBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    enqueueAction(action) {
+        // Process callbacks one at a time so notifications keep Trello's ordering
+        this.actionQueue = this.actionQueue
+            .then(() => this.trelloPoller.handleAction(action))
+            .catch(error => {
+                console.error(`Error handling webhook action ${action.id}:`, error);
+            });
+    }
+
+    async start() {
+        if (!this.callbackURL) {
+            console.error('🪝 TRELLO_WEBHOOK_CALLBACK_URL is not set, cannot start webhook receiver');
+            return false;
+        }
+
+        if (!this.appSecret) {
+            console.error('🪝 TRELLO_APP_SECRET is not set, refusing to start an unverified webhook receiver');
+            return false;
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.server = this.app.listen(this.port, resolve);
+                this.server.once('error', reject);
+            });
+            console.log(`🪝 Trello webhook receiver listening on port ${this.port} at ${this.path}`);
+
+            if (this.autoRegister) {
+                await this.register();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to start Trello webhook receiver:', error.message);
+            this.stop();
+            return false;
+        }
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+            console.log('🪝 Stopped Trello webhook receiver');
+        }
+    }
+
+    async register() {
+        for (const boardId of this.boardIds) {
+            await this.trelloHelper.ensureWebhook(this.callbackURL, boardId);
+        }
+    }
+
+    async unregister() {
+        let removed = 0;
+        for (const boardId of this.boardIds) {
+            removed += await this.trelloHelper.removeWebhooks(this.callbackURL, boardId);
+        }
+        return removed;
+    }
+}
+
+module.exports = TrelloWebhookServer;